@@ -0,0 +1,4317 @@
+// @ts-check
+// noinspection UnnecessaryLocalVariableJS, UnnecessaryReturnStatementJS
+
+/*
+ * The rules engine of the game. Everything in here runs without a canvas or a DOM,
+ * so it can be loaded both by index.html (before script.js) and by plain Node:
+ *
+ *     const {createGame} = require("./core.js");
+ *     const session = createGame({seed: 42}).move("NORTH_EAST").draft(0);
+ */
+
+/**
+ * A coordinate on the grid, identified by its row and column.
+ * @typedef {Object} Coord
+ * @property {number} row - The row index within the grid.
+ * @property {number} col - The column index within the grid.
+ */
+
+/**
+ * A hallway connecting rooms. Hallways may not always be present.
+ * If enabled, their status reflects what's on the other side.
+ * @typedef {Object} Hallway
+ * @property {"unknown" | "open" | "blocked" | "locked"} status - Current state of the hallway. Locked ones open once
+ * the player pays their lock.
+ * @property {boolean} enabled - Whether the hallway is active (can be used).
+ * @property {{item: Item, amount: number}} [lock] - What opens the hallway, while it is locked.
+ */
+
+/**
+ * A room effect triggered by interaction such as entering, leaving, or activating the room.
+ * Room types are loaded from the room catalog, see {@link RoomDefinition}.
+ * @typedef {RoomDefinition & {
+ * description: string,
+ * leave: EffectStep[],
+ * leaveDescription: string,
+ * pickup: "enter" | "use",
+ * use: EffectStep[],
+ * useLimit: number,
+ * useDescription: string
+ * }} Effect
+ */
+
+/**
+ * Events related to room activities
+ * @typedef {"enter"|"exit"|"use"} RoomEvent
+ */
+
+/**
+ * What state the game is in
+ * @typedef {"move"|"draft"|"shop"|"help"|"lost"|"won"} GameState
+ */
+
+/**
+ * Why a run has been lost.
+ * @typedef {"steps"|"frontier"|"exit"|"locked"|"sealed"} DefeatReason
+ */
+
+/** @type {Record<DefeatReason, string>} */
+const DefeatReasonTexts = {
+    "steps": "You ran out of steps.",
+    "frontier": "There is nowhere left to explore.",
+    "exit": "The exit cannot be reached anymore.",
+    "locked": "The way on is locked, and you have nothing left to open it with.",
+    "sealed": "The exit is sealed, and the symbols of its puzzle cannot be found anymore.",
+};
+/**
+ * What can be found in a room
+ * @typedef {"keys"|"lock"|"gems"|"steps"|"tools"|"rerolls"|"tokens"} Item
+ */
+
+/**
+ * Direction of movement on the grid
+ * @typedef {
+ * "NORTH" |
+ * "NORTH_EAST" |
+ * "SOUTH_EAST" |
+ * "SOUTH" |
+ * "SOUTH_WEST" |
+ * "NORTH_WEST"
+ * } Direction
+ */
+
+/** @type {Direction[]} */
+const DIRECTION_VALUES = [
+    "NORTH",
+    "NORTH_EAST",
+    "SOUTH_EAST",
+    "SOUTH",
+    "SOUTH_WEST",
+    "NORTH_WEST"];
+
+
+/** @type {Record<Item, string>} */
+const ItemTexts = {
+    "steps": "👣",
+    "keys": "🔑",
+    "lock": "🔒",
+    "gems": "💎",
+    "tools": "🔧",
+    "rerolls": "🎲",
+    "tokens": "⭐",
+};
+
+/**
+ * Represents primary visual symbols used to identify the main room effect
+ * @typedef {"spiral" | "diamond" | "loop" | "bright" | "circle" | "square"} PuzzleSymbol
+ */
+
+/**
+ * Represents alternate symbols that may appear in rooms
+ * @typedef {"target" | "star" | "slash" | "paint" | "egg" | "grid"} AltSymbol
+ */
+
+/**
+ * @typedef {"straight" | "wavy" | "dotted" | "dashed"} LineType
+ */
+
+/**
+ * One hexagon of the symbol puzzle. The exit only opens for the one matching the solution of the run.
+ * @typedef {Object} PuzzlePiece
+ * @property {PuzzleSymbol} innerSymbol - The symbol in the middle of the puzzle
+ * @property {AltSymbol} outerSymbol - The symbol being run around the inner sections
+ * @property {string} fillColor - The main color of the hexagon, one of {@link PuzzleColors}
+ * @property {LineType} lineType - The line type coming from the center
+ */
+
+/**
+ * @typedef {keyof PuzzlePiece} PuzzleAspect
+ */
+
+/**
+ * A part of a puzzle piece lying in a room. Using the room swaps it with the same part of the player's piece.
+ * @typedef {{aspect: PuzzleAspect, value: string}} PuzzleFragment
+ */
+
+/**
+ * The symbol puzzle of a run: the piece the exit asks for, and the one the player put together so far.
+ * @typedef {Object} Puzzle
+ * @property {PuzzlePiece} solution - Generated from the seed of the run.
+ * @property {Partial<PuzzlePiece>} pieces - What the player holds, by aspect.
+ */
+
+/** @type {Record<PuzzleSymbol, string>} */
+const SymbolTexts = {
+    "spiral": "🌀",
+    "diamond": "🔶",
+    "loop": "➰",
+    "bright": "🔆",
+    "circle": "🔴",
+    "square": "🟩",
+};
+
+/** @type {Record<AltSymbol, string>} */
+const AltSymbolTexts = {
+    "target": "🎯",
+    "star": "✴️",
+    "slash": "〰️",
+    "paint": "🎨",
+    "egg": "🥚",
+    "grid": "🔳",
+};
+
+/** @type {Record<string, string>} */
+const PuzzleColors = {
+    "red": "#AE0000",
+    "green": "#2F8043",
+    "blue": "#005A8D",
+    "purple": "#6E5381",
+};
+
+/**
+ * The values each aspect of a puzzle piece can take.
+ * @type {Record<PuzzleAspect, string[]>}
+ */
+const PUZZLE_VALUES = {
+    innerSymbol: Object.keys(SymbolTexts),
+    outerSymbol: Object.keys(AltSymbolTexts),
+    fillColor: Object.keys(PuzzleColors),
+    lineType: ["straight", "wavy", "dotted", "dashed"],
+};
+
+/**
+ * Chance that a drafted room carries a puzzle fragment, and that a fragment is the one of the solution.
+ * @type {{fragment: number, match: number}}
+ */
+const PUZZLE_CHANCES = {fragment: 0.5, match: 0.6};
+
+/**
+ * @param {PuzzleFragment} fragment
+ * @return {string} e.g. "the 🌀 inner symbol"
+ */
+const describeFragment = ({aspect, value}) => {
+    switch (aspect) {
+        case "innerSymbol":
+            return `the ${SymbolTexts[value]} inner symbol`;
+        case "outerSymbol":
+            return `the ${AltSymbolTexts[value]} outer symbol`;
+        case "fillColor":
+            return `the ${value} color`;
+        case "lineType":
+            return `the ${value} lines`;
+    }
+};
+
+/**
+ *
+ * @param {Coord} coord
+ * @return {string} the string representation of the given coordinate
+ */
+const coordToString = (coord) => `[${coord.row};${coord.col}]`;
+
+/**
+ *
+ * @param {Coord} coord1
+ * @param {Coord} coord2
+ * @return {boolean} if the two coords are the same, false otherwise
+ */
+const areEqualCoords = (coord1, coord2) => coord1.row === coord2.row && coord1.col === coord2.col;
+
+/**
+ *
+ * @param {Coord} coord1
+ * @param {Coord} coord2
+ * @return {boolean} if the two coords are neighbors on the grid, false otherwise
+ */
+const areNeighbors = (coord1, coord2) => DIRECTION_VALUES.some((direction) => areEqualCoords(tileTowards(coord1, direction), coord2));
+
+/**
+ *
+ * @param origin the origin to check the direction from
+ * @param coord the coord to check towards to
+ * @return {Direction | undefined} if they are neighbors, the proper direction, undefined otherwise
+ */
+const getDirection = (origin, coord) => DIRECTION_VALUES.find((direction) => areEqualCoords(tileTowards(origin, direction), coord))
+
+/**
+ * Hashes the given text into a 32-bit unsigned integer (FNV-1a).
+ * @param {string} text
+ * @return {number}
+ */
+const hashString = (text) => {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Named, independent random streams. Draws from one never shift the values of another,
+ * so e.g. rendering can use randomness without changing which rooms get drafted.
+ * @typedef {"draft" | "hallways" | "effects" | "items" | "puzzle" | "shop" | "cosmetic"} RandomStream
+ */
+
+/**
+ * Everything needed to continue a generator (and its streams) exactly where it was.
+ * @typedef {Object} RNGState
+ * @property {number} initialSeed - The seed the generator started from, streams are derived from it.
+ * @property {number} seed - The current seed of the generator itself.
+ * @property {Partial<Record<RandomStream, number>>} streams - The current seeds of the streams already in use.
+ */
+
+/**
+ * Used instead of the seed zero, which would keep xorshift at zero forever.
+ * @type {number}
+ */
+const ZERO_SEED_REPLACEMENT = 0x9E3779B9;
+
+/**
+ * Turns any number into a usable seed: an unsigned 32-bit integer, never zero.
+ * The generator only ever uses the lower 32 bits anyway, so this does not change the sequence of other seeds.
+ * @param {number} seed
+ * @return {number}
+ */
+const normalizeSeed = (seed) => (seed >>> 0) || ZERO_SEED_REPLACEMENT;
+
+/**
+ * Turns what a player typed (or passed as the `?seed=` URL parameter) into a seed.
+ * Whole numbers are used as they are, so displayed seeds can be typed back, any other text is hashed.
+ * @param {string} text
+ * @return {number}
+ */
+const seedFromText = (text) => {
+    const trimmed = text.trim();
+    return normalizeSeed(/^\d+$/.test(trimmed) ? Number(trimmed) : hashString(trimmed));
+};
+
+class SeededRNG {
+    /**
+     * The current seed used by the generator
+     * @type {number}
+     */
+    #seed;
+
+    /**
+     * The seed the generator started from.
+     * @type {number}
+     */
+    #initialSeed;
+
+    /**
+     * Generators of the named streams, created on first use.
+     * @type {Map<RandomStream, SeededRNG>}
+     */
+    #streams = new Map();
+
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Seeds the generator. Xorshift never leaves zero, so a seed of zero (modulo 2^32) is remapped to a fixed one.
+     * @param {number} seed - any number, only its lower 32 bits are used. A random one if missing.
+     */
+    setSeed(seed) {
+        this.#seed = normalizeSeed(seed ?? Math.floor(Math.random() * Math.pow(2, 31)) + 1);
+        this.#initialSeed = this.#seed;
+        this.#streams.clear();
+    }
+
+    float() {
+        this.#seed ^= this.#seed << 13;
+        this.#seed ^= this.#seed >> 17;
+        this.#seed ^= this.#seed << 5;
+        return (this.#seed >>> 0) / 0xFFFFFFFF;
+    }
+
+    int32() {
+        this.#seed ^= this.#seed << 13;
+        this.#seed ^= this.#seed >> 17;
+        this.#seed ^= this.#seed << 5;
+        return this.#seed | 0;
+    }
+
+    /**
+     * Returns the generator of the given stream, derived from the initial seed and the name of the stream.
+     * @param {RandomStream} name
+     * @return {SeededRNG}
+     */
+    stream(name) {
+        if (!this.#streams.has(name)) {
+            this.#streams.set(name, new SeededRNG(hashString(`${this.#initialSeed}:${name}`) || 1));
+        }
+        return this.#streams.get(name);
+    }
+
+    get seed() {
+        return this.#seed;
+    }
+
+    get initialSeed() {
+        return this.#initialSeed;
+    }
+
+    /** @return {RNGState} */
+    get state() {
+        /** @type {Partial<Record<RandomStream, number>>} */
+        const streams = {};
+        // seeds are stored as unsigned, the same way they are restored
+        this.#streams.forEach((stream, name) => streams[name] = stream.seed >>> 0);
+        return {initialSeed: this.#initialSeed, seed: this.#seed >>> 0, streams};
+    }
+
+    /** @param {RNGState} state */
+    set state(state) {
+        this.setSeed(state.initialSeed);
+        this.#seed = state.seed;
+        Object.entries(state.streams).forEach(([name, seed]) => {
+            this.#streams.set(/** @type {RandomStream} */ (name), new SeededRNG(seed));
+        });
+    }
+}
+
+/**
+ * Default generator, used when no other generator is handed to the random helpers.
+ * Every game owns its own generator (see {@link Game#rng}), so this one never affects gameplay.
+ * @type {SeededRNG}
+ */
+const rng = new SeededRNG(Date.now());
+
+/**
+ * Sets the random seed.
+ * @param {number} seed
+ */
+const setSeed = (seed) => rng.setSeed(seed);
+
+/**
+ * Returns a random float between 0 (inclusive) and 1 (exclusive).
+ * @param {SeededRNG} generator
+ * @returns {number}
+ */
+const randomFloat = (generator = rng) => generator.float();
+
+/**
+ * Returns a random integer between min (inclusive) and max (exclusive).
+ * @param {number} min
+ * @param {number} max
+ * @param {SeededRNG} generator
+ * @returns {number}
+ */
+const randomRange = (min, max, generator = rng) => Math.floor(randomFloat(generator) * (max - min)) + min;
+
+/**
+ * Returns a random 32-bit integer or one bounded between 0 and the specified value.
+ * @param {number} bound
+ * @param {SeededRNG} generator
+ * @returns {number}
+ */
+const randomInt32 = (bound = 0, generator = rng) => bound ? randomRange(0, bound, generator) : generator.int32();
+
+/**
+ * Returns a random boolean.
+ * @param {SeededRNG} generator
+ * @returns {boolean}
+ */
+const randomBool = (generator = rng) => randomInt32(0, generator) % 2 === 0;
+
+/**
+ * Picks a random element from an array.
+ * @template T
+ * @param {Array<T>} items
+ * @param {SeededRNG} generator
+ * @returns {T}
+ */
+const randomElement = (items, generator = rng) => items[randomInt32(items.length, generator)];
+
+/**
+ * Generates a random hex color string (e.g., #A3F2D1).
+ * @param {SeededRNG} generator
+ * @returns {string}
+ */
+const randomHexColor = (generator = rng) => {
+    const letters = "0123456789ABCDEF";
+    let color = "#";
+    for (let i = 0; i < 6; i++) {
+        color += randomElement([...letters], generator);
+    }
+    return color;
+};
+
+/**
+ * Type of a room, the key of its definition in the room catalog, e.g. "garden".
+ * @typedef {string} EffectType
+ */
+
+/**
+ * One step of a room effect, see {@link runEffect}. Steps run in order, until a condition or a cost stops the effect.
+ * @typedef {{do: "gain", item: Item, amount: number}
+ * | {do: "lose", item: Item, amount: number}
+ * | {do: "cost", item: Item, amount: number}
+ * | {do: "set", item: Item, amount: number}
+ * | {do: "require", item: Item, atLeast?: number, below?: number}
+ * | {do: "chance", chance: number, then: EffectStep[], else?: EffectStep[]}
+ * | {do: "win"}
+ * | {do: "cancel"}
+ * | {do: "turn", by: number}
+ * | {do: "lockBehind"}} EffectStep
+ */
+
+/**
+ * A move of the player from one room to the next, as the leave effect of the first one sees it.
+ * The `cancel`, `turn` and `lockBehind` steps change it, and do nothing outside of leave effects.
+ * @typedef {Object} Move
+ * @property {Direction} direction - Where the player heads, possibly turned by the effect.
+ * @property {boolean} cancelled - Whether the player stays in the room.
+ * @property {boolean} locksBehind - Whether the hallway is blocked once the player went through.
+ */
+
+/**
+ * Items lying in a room, until the player picks them up.
+ * @typedef {{item: Item, amount: number}} FloorItem
+ */
+
+/**
+ * Items a room type may spawn with, each with its own chance (1 by default).
+ * @typedef {FloorItem & {chance?: number}} ItemRule
+ */
+
+/**
+ * Layout of the hallways of a drafted room.
+ * @typedef {"deadEnd" | "corridor" | "bend" | "tJunction" | "y" | "fourWay" | "hub"} ShapeType
+ */
+
+/**
+ * @typedef {Object} RoomShape
+ * @property {string} name - Name of the shape, shown when drafting.
+ * @property {number[]} sides - The sides with a hallway, as clockwise 60° turns from any one of them.
+ * @property {number} rarity - Weight of the shape when drafting.
+ */
+
+/**
+ * Every room shape. Drafted rooms take one of the shapes their type allows, turned so that one of its sides is the entry.
+ * @type {Record<ShapeType, RoomShape>}
+ */
+const ROOM_SHAPES = {
+    deadEnd: {name: "Dead end", sides: [0], rarity: 1},
+    corridor: {name: "Corridor", sides: [0, 3], rarity: 3},
+    bend: {name: "Bend", sides: [0, 2], rarity: 3},
+    tJunction: {name: "T-junction", sides: [0, 2, 3], rarity: 2},
+    y: {name: "Y", sides: [0, 2, 4], rarity: 1.5},
+    fourWay: {name: "Four-way", sides: [0, 1, 3, 4], rarity: 1},
+    hub: {name: "Hub", sides: [0, 1, 2, 3, 4, 5], rarity: 0.3},
+};
+
+/**
+ * A room type, as designers write it in a room catalog (JSON).
+ * @typedef {Object} RoomDefinition
+ * @property {string} name - Name of the rooms of this type.
+ * @property {EffectStep[]} effect - What entering the room does.
+ * @property {EffectStep[]} [leave] - What leaving the room does, nothing by default. Runs every time, and may stop or turn the move.
+ * @property {EffectStep[]} [use] - What using the room (while standing in it) does, nothing by default.
+ * @property {number} [useLimit] - Max number of times using can be completed per room, -1 (the default) for no limit.
+ * @property {number} copies - Number of rooms of this type in the deck of a run, 0 if it is never drafted.
+ * @property {boolean} [oncePerRun] - Whether the type leaves the deck for the rest of the run once one of its rooms is placed.
+ * @property {number} triggerLimit - Max number of times the effect can be completed per room, -1 for no limit.
+ * @property {string} color - Color of the room when sprites are off, e.g. "#A3F2D1".
+ * @property {Coord[]} tiles - Tiles of the sprite sheet the room is drawn with, one is picked per room.
+ * @property {ItemRule[]} items - What can be found lying in the room, rolled when it is drafted.
+ * @property {"enter" | "use"} [pickup] - Whether the items are picked up on entering (the default) or on using the room.
+ * @property {number} lockChance - Chance (0 to 1) that the door a drafted room is entered through is locked.
+ * @property {{item: Item, amount: number}} [lock] - What opens a locked door of the type, 1 key by default.
+ * @property {ShapeType[]} [shapes] - The shapes (see {@link ROOM_SHAPES}) the rooms may take, any by default.
+ * @property {boolean} [interrupts] - Whether triggering the effect stops the player traveling through the room.
+ * @property {number} [shop] - Number of offers the rooms sell, drawn from the {@link SHOP_STOCK} when drafted, none by default.
+ * @property {string} [unlock] - The unlock (see {@link UNLOCKS}) the type needs to be drafted, none by default.
+ */
+
+/**
+ * What the player achieved over all their runs, what unlocks are earned with.
+ * @typedef {Object} Progress
+ * @property {number} runs - Finished runs, won or lost.
+ * @property {number} wins - Won runs.
+ * @property {number} roomsDrafted - Rooms placed, over all finished runs.
+ * @property {number} gemsBanked - Gems left in hand at the end of won runs.
+ */
+
+/**
+ * A permanent change to the next runs, earned once a counter of the {@link Progress} reaches its goal.
+ * @typedef {Object} Unlock
+ * @property {string} name - Name of the unlock.
+ * @property {string} description - What it changes.
+ * @property {keyof Progress} counter - The progress it is earned with.
+ * @property {number} goal - The value the counter has to reach.
+ * @property {Partial<Record<Item, number>>} [resources] - Extra starting resources.
+ * @property {number} [draftOptions] - Number of options of every draft, 3 without unlocks.
+ */
+
+/**
+ * Every unlock, by id. Room types gated behind one name it in their `unlock` field.
+ * @type {Record<string, Unlock>}
+ */
+const UNLOCKS = {
+    "spareKey": {name: "Spare key", description: "Start with 1 more 🔑.", counter: "wins", goal: 1, resources: {keys: 1}},
+    "packedLunch": {name: "Packed lunch", description: "Start with 5 more 👣.", counter: "roomsDrafted", goal: 25, resources: {steps: 5}},
+    "savings": {name: "Savings", description: "Start with 2 💎.", counter: "gemsBanked", goal: 10, resources: {gems: 2}},
+    "wishingWell": {name: "Wishing Well", description: "Wishing Wells can be drafted.", counter: "runs", goal: 5},
+    "widerDraft": {name: "Wider draft", description: "Drafts offer 4 rooms.", counter: "wins", goal: 3, draftOptions: 4},
+};
+
+/**
+ * Something shops sell, for gems.
+ * @typedef {Object} Ware
+ * @property {string} name - Name of the ware.
+ * @property {FloorItem[]} items - What the player gets.
+ * @property {number} price - Price in gems.
+ */
+
+/**
+ * Everything shops may sell, by id. Every shop room draws its offers among them when drafted, and sells as many of
+ * them as the `triggerLimit` of its type allows: every purchase counts as a trigger of the room.
+ * A 🎲 reroll pays for a draft refresh, a ⭐ token is spent on the next draft, which then offers a rare room.
+ * @type {Record<string, Ware>}
+ */
+const SHOP_STOCK = {
+    "key": {name: "Key", items: [{item: "keys", amount: 1}], price: 4},
+    "rations": {name: "Rations", items: [{item: "steps", amount: 5}], price: 2},
+    "lockpick": {name: "Lockpick", items: [{item: "tools", amount: 1}], price: 3},
+    "reroll": {name: "Draft refresh", items: [{item: "rerolls", amount: 1}], price: 1},
+    "rareRoom": {name: "Rare room token", items: [{item: "tokens", amount: 1}], price: 3},
+};
+
+/** @type {Record<keyof Progress, (goal: number) => string>} */
+const ProgressGoalTexts = {
+    runs: (goal) => `Finish ${goal} runs`,
+    wins: (goal) => goal === 1 ? "Win a run" : `Win ${goal} runs`,
+    roomsDrafted: (goal) => `Draft ${goal} rooms`,
+    gemsBanked: (goal) => `Bank ${goal} 💎, counting those left when winning`,
+};
+
+/**
+ * @return {Progress} the progress of a player who has not finished any run yet
+ */
+const newProgress = () => ({runs: 0, wins: 0, roomsDrafted: 0, gemsBanked: 0});
+
+/**
+ * Counts a finished run into the progress.
+ * @param {Progress} progress
+ * @param {Game} game - a game whose run is won or lost
+ * @return {Progress} the new progress
+ */
+const recordRun = (progress, game) => {
+    const won = game.getState() === "won";
+    return {
+        runs: progress.runs + 1,
+        wins: progress.wins + (won ? 1 : 0),
+        roomsDrafted: progress.roomsDrafted + Object.values(game.stats.roomsDrafted).reduce((sum, count) => sum + count, 0),
+        gemsBanked: progress.gemsBanked + (won ? game.getResource("gems") : 0),
+    };
+};
+
+/**
+ * @param {Progress} progress
+ * @return {string[]} the ids of the unlocks earned with the progress
+ */
+const earnedUnlocks = (progress) => Object.keys(UNLOCKS).filter(id => progress[UNLOCKS[id].counter] >= UNLOCKS[id].goal);
+
+/**
+ * Every room type of the game, as stored in a JSON file.
+ * @typedef {Object} RoomCatalog
+ * @property {number} version - Version of the catalog format, see {@link ROOM_CATALOG_VERSION}.
+ * @property {Record<EffectType, RoomDefinition>} rooms - The room types, by type.
+ */
+
+/**
+ * Version of the room catalog format. Bump it whenever {@link RoomDefinition} changes,
+ * and register a migration for the previous version in {@link ROOM_CATALOG_MIGRATIONS}.
+ * @type {number}
+ */
+const ROOM_CATALOG_VERSION = 4;
+
+/**
+ * Size of the sprite sheet (hextiles.png), in tiles.
+ * @type {{rows: number, cols: number}}
+ */
+const SPRITE_SHEET_TILES = {rows: 6, cols: 8};
+
+/**
+ * @param {Item} item
+ * @param {number} amount
+ * @return {string} e.g. "2 👣"
+ */
+const amountText = (item, amount) => `${amount} ${ItemTexts[item]}`;
+
+/**
+ * @param {string} text
+ * @return {string} the text, starting with an upper case letter
+ */
+const capitalize = (text) => text.substring(0, 1).toUpperCase() + text.substring(1);
+
+/**
+ * @param {{item: Item, atLeast?: number, below?: number}} condition
+ * @return {string} e.g. "at least 2 🔑"
+ */
+const describeCondition = ({item, atLeast, below}) => {
+    if (atLeast !== undefined && below !== undefined) {
+        return `at least ${atLeast} and fewer than ${amountText(item, below)}`;
+    }
+    return atLeast !== undefined ? `at least ${amountText(item, atLeast)}` : `fewer than ${amountText(item, below)}`;
+};
+
+/**
+ * @param {EffectStep[]} steps
+ * @return {string} what the steps do, e.g. "pay 5 💎 to gain 1 🔑"
+ */
+const describeSteps = (steps) => {
+    if (steps.length === 0) {
+        return "nothing";
+    }
+    const [step, ...rest] = steps;
+    const then = (text) => rest.length > 0 ? `${text}, then ${describeSteps(rest)}` : text;
+    switch (step.do) {
+        case "gain":
+            return then(`gain ${amountText(step.item, step.amount)}`);
+        case "lose":
+            return then(`lose ${amountText(step.item, step.amount)}`);
+        case "cost":
+            return rest.length > 0 ? `pay ${amountText(step.item, step.amount)} to ${describeSteps(rest)}` : `pay ${amountText(step.item, step.amount)}`;
+        case "set":
+            return then(`set ${ItemTexts[step.item]} to ${step.amount}`);
+        case "require":
+            return `if you have ${describeCondition(step)}, ${describeSteps(rest)}`;
+        case "chance": {
+            const otherwise = step.else ? `, otherwise ${describeSteps(step.else)}` : "";
+            return then(`${Math.round(step.chance * 100)}% chance to ${describeSteps(step.then)}${otherwise}`);
+        }
+        case "win":
+            return then("win the run");
+        case "cancel":
+            return then("keep you from leaving");
+        case "turn":
+            return then(`turn your way ${step.by * 60}° clockwise`);
+        case "lockBehind":
+            return then("lock the door behind you");
+    }
+};
+
+/**
+ * @param {EffectStep[]} steps
+ * @return {string} what the effect does, as shown when drafting its room. Empty for effects doing nothing.
+ */
+const describeEffect = (steps) => steps.length === 0 ? "" : `${capitalize(describeSteps(steps))}.`;
+
+/**
+ * Runs the steps of an effect on the game. This is the one interpreter of the effect language.
+ * @param {Game} game
+ * @param {EffectStep[]} steps
+ * @param {string[]} events - collects what happened, e.g. "you gained 2 👣"
+ * @param {Move | null} move - the move leaving the room, for leave effects
+ * @return {boolean} false if a condition or a cost stopped the effect, true otherwise
+ */
+const runEffect = (game, steps, events = [], move = null) => {
+    for (const step of steps) {
+        switch (step.do) {
+            case "gain":
+                game.collectResource(step.item, step.amount);
+                events.push(`you gained ${amountText(step.item, step.amount)}`);
+                break;
+            case "lose": {
+                const lost = Math.min(step.amount, game.getResource(step.item));
+                game.removeResource(step.item, step.amount);
+                events.push(lost > 0 ? `you lost ${amountText(step.item, lost)}` : `you had no ${ItemTexts[step.item]} to lose`);
+                break;
+            }
+            case "cost":
+                if (game.getResource(step.item) < step.amount) {
+                    events.push(`you cannot pay ${amountText(step.item, step.amount)}`);
+                    return false;
+                }
+                game.removeResource(step.item, step.amount);
+                events.push(`you paid ${amountText(step.item, step.amount)}`);
+                break;
+            case "set": {
+                // what it brings counts as found in the room
+                const gained = step.amount - game.getResource(step.item);
+                if (gained > 0) {
+                    game.collectResource(step.item, gained);
+                } else {
+                    game.setResource(step.item, step.amount);
+                }
+                events.push(`your ${ItemTexts[step.item]} are now ${step.amount}`);
+                break;
+            }
+            case "require": {
+                const count = game.getResource(step.item);
+                if ((step.atLeast !== undefined && count < step.atLeast) || (step.below !== undefined && count >= step.below)) {
+                    events.push(`you need ${describeCondition(step)}`);
+                    return false;
+                }
+                break;
+            }
+            case "chance": {
+                const branch = randomFloat(game.rng.stream("effects")) < step.chance ? step.then : step.else;
+                if (!branch) {
+                    events.push("nothing happened");
+                } else if (!runEffect(game, branch, events, move)) {
+                    return false;
+                }
+                break;
+            }
+            case "win":
+                game.win();
+                events.push("you have won!");
+                break;
+            case "cancel":
+                if (move) {
+                    move.cancelled = true;
+                    events.push("you cannot leave");
+                }
+                break;
+            case "turn":
+                if (move) {
+                    move.direction = rotate(move.direction, step.by);
+                    events.push(`you were pushed ${move.direction.toLowerCase().replace("_", "-")}`);
+                }
+                break;
+            case "lockBehind":
+                if (move) {
+                    move.locksBehind = true;
+                    events.push("the door locks behind you");
+                }
+                break;
+        }
+    }
+    return true;
+};
+
+/**
+ * @param {FloorItem[]} items
+ * @return {string} e.g. "1 🔑 and 2 💎"
+ */
+const describeItems = (items) => {
+    const texts = items.map(({item, amount}) => amountText(item, amount));
+    return texts.length > 1 ? `${texts.slice(0, -1).join(", ")} and ${texts[texts.length - 1]}` : texts.join("");
+};
+
+/**
+ * @param {string[]} events - as collected by {@link runEffect}
+ * @return {string} the message for the player, e.g. "You paid 5 💎, you gained 1 🔑."
+ */
+const describeEvents = (events) => {
+    if (events.length === 0) {
+        return "";
+    }
+    const text = capitalize(events.join(", "));
+    return text.endsWith("!") ? text : `${text}.`;
+};
+
+/**
+ * The room catalog the game comes with. Decks are built in the order of the types, so keep the order.
+ * @type {RoomCatalog}
+ */
+const DEFAULT_ROOM_CATALOG = {
+    "version": 4,
+    "rooms": {
+        "extraSteps": {
+            "name": "Lounge",
+            "effect": [{"do": "gain", "item": "steps", "amount": 2}],
+            "copies": 5,
+            "triggerLimit": -1,
+            "color": "#6E5381",
+            "tiles": [{"row": 3, "col": 4}],
+            "items": [],
+            "lockChance": 0.5,
+        },
+        "extraKey": {
+            "name": "Locksmith",
+            "effect": [],
+            "copies": 3,
+            "triggerLimit": -1,
+            "color": "#FFD700",
+            "tiles": [{"row": 3, "col": 6}],
+            "items": [{"item": "keys", "amount": 1}, {"item": "tools", "amount": 1, "chance": 0.3}],
+            "lockChance": 0,
+        },
+        "money": {
+            "name": "Treasury",
+            "effect": [{"do": "gain", "item": "gems", "amount": 1}],
+            "copies": 3,
+            "triggerLimit": 1,
+            "color": "#D2B48C",
+            "tiles": [{"row": 2, "col": 6}],
+            "items": [],
+            "lockChance": 0.5,
+            "shapes": ["deadEnd", "bend"],
+        },
+        "taxes": {
+            "name": "Tax Office",
+            "effect": [{"do": "lose", "item": "gems", "amount": 1}],
+            "copies": 3,
+            "triggerLimit": -1,
+            "color": "#AE0000",
+            "tiles": [{"row": 1, "col": 2}],
+            "items": [],
+            "lockChance": 0.5,
+        },
+        "garden": {
+            "name": "Garden",
+            "effect": [{"do": "set", "item": "steps", "amount": 41}],
+            "copies": 4,
+            "triggerLimit": -1,
+            "color": "#2F8043",
+            "tiles": [{"row": 4, "col": 7}],
+            "items": [],
+            "lockChance": 0.5,
+        },
+        "shop": {
+            "name": "Shop",
+            "effect": [],
+            "shop": 3,
+            "copies": 3,
+            "triggerLimit": 3,
+            "color": "#D7DE87",
+            "tiles": [{"row": 1, "col": 0}],
+            "items": [],
+            "lockChance": 0.5,
+            "interrupts": true,
+        },
+        "trap": {
+            "name": "Trap",
+            "effect": [],
+            "leave": [{"do": "lose", "item": "steps", "amount": 2}],
+            "copies": 2,
+            "triggerLimit": -1,
+            "color": "#5C5C5C",
+            "tiles": [{"row": 3, "col": 1}],
+            "items": [],
+            "lockChance": 0,
+            "shapes": ["corridor", "bend"],
+        },
+        "vault": {
+            "name": "Vault",
+            "effect": [],
+            "leave": [{"do": "lockBehind"}],
+            "copies": 2,
+            "oncePerRun": true,
+            "triggerLimit": -1,
+            "color": "#B8860B",
+            "tiles": [{"row": 3, "col": 6}],
+            "items": [{"item": "gems", "amount": 3}, {"item": "gems", "amount": 2, "chance": 0.5}],
+            "pickup": "use",
+            "lockChance": 1,
+            "lock": {"item": "gems", "amount": 2},
+            "shapes": ["deadEnd"],
+        },
+        "revolvingDoor": {
+            "name": "Revolving Door",
+            "effect": [],
+            "leave": [{"do": "chance", "chance": 0.5, "then": [{"do": "turn", "by": 1}]}],
+            "copies": 2,
+            "triggerLimit": -1,
+            "color": "#4682B4",
+            "tiles": [{"row": 4, "col": 5}],
+            "items": [],
+            "lockChance": 0.5,
+            "shapes": ["y", "fourWay", "hub"],
+        },
+        "wishingWell": {
+            "name": "Wishing Well",
+            "effect": [],
+            "use": [
+                {"do": "cost", "item": "gems", "amount": 1},
+                {"do": "chance", "chance": 0.4, "then": [{"do": "gain", "item": "keys", "amount": 1}], "else": [{"do": "gain", "item": "steps", "amount": 3}]},
+            ],
+            "useLimit": 3,
+            "copies": 3,
+            "triggerLimit": -1,
+            "color": "#4FA3C7",
+            "tiles": [{"row": 0, "col": 6}],
+            "items": [],
+            "lockChance": 0.3,
+            "shapes": ["deadEnd", "bend", "y"],
+            "unlock": "wishingWell",
+        },
+        "exit": {
+            "name": "Exit",
+            "effect": [{"do": "win"}],
+            "copies": 0,
+            "triggerLimit": -1,
+            "color": "#005A8D",
+            "tiles": [{"row": 2, "col": 7}],
+            "items": [],
+            "lockChance": 0,
+        },
+        "noop": {
+            "name": "Hall",
+            "effect": [],
+            "copies": 7,
+            "triggerLimit": -1,
+            "color": "#AF6C31",
+            "tiles": [{"row": 0, "col": 0}],
+            "items": [
+                {"item": "gems", "amount": 1, "chance": 0.15},
+                {"item": "steps", "amount": 3, "chance": 0.15},
+                {"item": "tools", "amount": 1, "chance": 0.05},
+            ],
+            "lockChance": 0.5,
+            "shapes": ["corridor", "tJunction", "y", "fourWay", "hub"],
+        },
+    },
+};
+
+/**
+ * Migration hooks, keyed by the catalog version they upgrade from, like {@link SAVE_MIGRATIONS}.
+ * @type {Record<number, (catalog: any) => any>}
+ */
+const ROOM_CATALOG_MIGRATIONS = {
+    // effects became step lists instead of names of built-in behaviors, and describe themselves
+    1: (catalog) => {
+        /** @type {Record<string, EffectStep[]>} */
+        const behaviors = {
+            "none": [],
+            "restSteps": [{do: "gain", item: "steps", amount: 2}],
+            "findKey": [{do: "gain", item: "keys", amount: 1}],
+            "findGem": [{do: "gain", item: "gems", amount: 1}],
+            "payGem": [{do: "lose", item: "gems", amount: 1}],
+            "resetSteps": [{do: "set", item: "steps", amount: 41}],
+            "buyKey": [{do: "cost", item: "gems", amount: 5}, {do: "gain", item: "keys", amount: 1}],
+            "win": [{do: "win"}],
+        };
+        const rooms = Object.fromEntries(Object.entries(catalog.rooms ?? {}).map(([type, room]) => {
+            const {description, triggerText, ...rest} = room;
+            return [type, {...rest, effect: behaviors[room.effect] ?? room.effect}];
+        }));
+        return {...catalog, rooms};
+    },
+    // items became real, with amounts and chances, before they were only shown when drafting
+    2: (catalog) => ({
+        ...catalog,
+        rooms: Object.fromEntries(Object.entries(catalog.rooms ?? {}).map(([type, room]) => [type, {...room, items: []}])),
+    }),
+    // rooms are drawn from a finite deck, the rarity weights became counts of copies
+    3: (catalog) => ({
+        ...catalog,
+        rooms: Object.fromEntries(Object.entries(catalog.rooms ?? {}).map(([type, {rarity, ...room}]) => [type, {
+            ...room,
+            copies: typeof rarity === "number" ? Math.round(rarity * 10) : rarity,
+        }])),
+    }),
+};
+
+/**
+ * Upgrades a room catalog of an older version to the current one. Catalogs it cannot upgrade are returned as they are.
+ * @param {any} catalog - the parsed JSON
+ * @return {any}
+ */
+const migrateRoomCatalog = (catalog) => {
+    let migrated = catalog;
+    while (typeof migrated?.version === "number" && migrated.version < ROOM_CATALOG_VERSION
+    && ROOM_CATALOG_MIGRATIONS[migrated.version]) {
+        migrated = {...ROOM_CATALOG_MIGRATIONS[migrated.version](migrated), version: migrated.version + 1};
+    }
+    return migrated;
+};
+
+/**
+ * Checks the steps of an effect.
+ * @param {any} steps
+ * @param {string} path - where the steps are, for the messages, e.g. "shop: effect"
+ * @param {string[]} problems - collects what is wrong
+ */
+const validateEffectSteps = (steps, path, problems) => {
+    if (!Array.isArray(steps)) {
+        problems.push(`${path}: expected a list of steps.`);
+        return;
+    }
+    steps.forEach((step, index) => {
+        const where = `${path}[${index}]`;
+        const isAmount = (value) => Number.isInteger(value) && value >= 0;
+        if (["gain", "lose", "cost", "set", "require"].includes(step?.do) && !(step.item in ItemTexts)) {
+            problems.push(`${where}: unknown item ${JSON.stringify(step.item)}, expected one of ${Object.keys(ItemTexts).join(", ")}.`);
+        }
+        switch (step?.do) {
+            case "gain":
+            case "lose":
+            case "cost":
+            case "set":
+                if (!isAmount(step.amount)) {
+                    problems.push(`${where}: invalid amount ${JSON.stringify(step.amount)}, expected a whole number of at least 0.`);
+                }
+                break;
+            case "require":
+                if ((step.atLeast === undefined && step.below === undefined)
+                    || (step.atLeast !== undefined && !isAmount(step.atLeast))
+                    || (step.below !== undefined && !isAmount(step.below))) {
+                    problems.push(`${where}: a requirement needs "atLeast" and/or "below", as whole numbers.`);
+                }
+                break;
+            case "chance":
+                if (typeof step.chance !== "number" || !(0 <= step.chance && step.chance <= 1)) {
+                    problems.push(`${where}: invalid chance ${JSON.stringify(step.chance)}, expected a number from 0 to 1.`);
+                }
+                validateEffectSteps(step.then, `${where}.then`, problems);
+                if (step.else !== undefined) {
+                    validateEffectSteps(step.else, `${where}.else`, problems);
+                }
+                break;
+            case "turn":
+                if (!Number.isInteger(step.by)) {
+                    problems.push(`${where}: invalid turn ${JSON.stringify(step.by)}, expected a whole number of 60° turns.`);
+                }
+                break;
+            case "win":
+            case "cancel":
+            case "lockBehind":
+                break;
+            default:
+                problems.push(`${where}: unknown step ${JSON.stringify(step?.do)}, expected gain, lose, cost, set, require, chance, win, cancel, turn or lockBehind.`);
+        }
+    });
+};
+
+/**
+ * Room types the game itself relies on: the exit, and the plain room the player starts in.
+ * @type {EffectType[]}
+ */
+const REQUIRED_ROOM_TYPES = ["exit", "noop"];
+
+/**
+ * Checks a room catalog, e.g. one imported by a designer.
+ * @param {any} catalog - the parsed JSON
+ * @return {string[]} every problem found, none if the catalog can be used
+ */
+const validateRoomCatalog = (catalog) => {
+    catalog = migrateRoomCatalog(catalog);
+    /** @type {string[]} */
+    const problems = [];
+    if (typeof catalog !== "object" || catalog === null) {
+        return ["The catalog must be a JSON object."];
+    }
+    if (catalog.version !== ROOM_CATALOG_VERSION) {
+        problems.push(`Unsupported catalog version: ${catalog.version}, expected ${ROOM_CATALOG_VERSION}.`);
+    }
+    if (typeof catalog.rooms !== "object" || catalog.rooms === null) {
+        return [...problems, "The catalog has no rooms."];
+    }
+    REQUIRED_ROOM_TYPES
+        .filter(type => !(type in catalog.rooms))
+        .forEach(type => problems.push(`Missing room type: ${type}.`));
+
+    Object.entries(catalog.rooms).forEach(([type, room]) => {
+        if (typeof room !== "object" || room === null) {
+            problems.push(`${type}: must be an object.`);
+            return;
+        }
+        if (typeof room.name !== "string") {
+            problems.push(`${type}: missing name.`);
+        }
+        validateEffectSteps(room.effect, `${type}: effect`, problems);
+        ["leave", "use"]
+            .filter(event => room[event] !== undefined)
+            .forEach(event => validateEffectSteps(room[event], `${type}: ${event}`, problems));
+        if (room.useLimit !== undefined && !(Number.isInteger(room.useLimit) && room.useLimit >= -1)) {
+            problems.push(`${type}: invalid useLimit ${JSON.stringify(room.useLimit)}, expected -1 or more.`);
+        }
+        if (!Number.isInteger(room.copies) || room.copies < 0) {
+            problems.push(`${type}: invalid copies ${JSON.stringify(room.copies)}, expected a whole number of at least 0.`);
+        }
+        if (room.oncePerRun !== undefined && typeof room.oncePerRun !== "boolean") {
+            problems.push(`${type}: invalid oncePerRun ${JSON.stringify(room.oncePerRun)}, expected true or false.`);
+        }
+        if (!Number.isInteger(room.triggerLimit) || room.triggerLimit < -1) {
+            problems.push(`${type}: invalid triggerLimit ${JSON.stringify(room.triggerLimit)}, expected -1 or more.`);
+        }
+        if (room.color === undefined) {
+            problems.push(`${type}: missing color.`);
+        } else if (typeof room.color !== "string" || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(room.color)) {
+            problems.push(`${type}: invalid color ${JSON.stringify(room.color)}, expected e.g. "#A3F2D1".`);
+        }
+        if (!Array.isArray(room.tiles) || room.tiles.length === 0) {
+            problems.push(`${type}: missing sprite tiles.`);
+        } else {
+            room.tiles
+                .filter(tile => !Number.isInteger(tile?.row) || !Number.isInteger(tile?.col)
+                    || tile.row < 0 || tile.row >= SPRITE_SHEET_TILES.rows || tile.col < 0 || tile.col >= SPRITE_SHEET_TILES.cols)
+                .forEach(tile => problems.push(`${type}: unknown sprite tile ${JSON.stringify(tile)}, the sheet has ` +
+                    `${SPRITE_SHEET_TILES.rows} rows and ${SPRITE_SHEET_TILES.cols} columns.`));
+        }
+        if (!Array.isArray(room.items)) {
+            problems.push(`${type}: invalid items ${JSON.stringify(room.items)}, expected a list.`);
+        } else {
+            room.items.forEach((rule, index) => {
+                if (!(rule?.item in ItemTexts)) {
+                    problems.push(`${type}: items[${index}]: unknown item ${JSON.stringify(rule?.item)}, expected one of ${Object.keys(ItemTexts).join(", ")}.`);
+                }
+                if (!(Number.isInteger(rule?.amount) && rule.amount >= 1)) {
+                    problems.push(`${type}: items[${index}]: invalid amount ${JSON.stringify(rule?.amount)}, expected a whole number of at least 1.`);
+                }
+                if (rule?.chance !== undefined && !(typeof rule.chance === "number" && 0 <= rule.chance && rule.chance <= 1)) {
+                    problems.push(`${type}: items[${index}]: invalid chance ${JSON.stringify(rule.chance)}, expected a number from 0 to 1.`);
+                }
+            });
+        }
+        if (room.unlock !== undefined && !(room.unlock in UNLOCKS)) {
+            problems.push(`${type}: unknown unlock ${JSON.stringify(room.unlock)}, expected one of ${Object.keys(UNLOCKS).join(", ")}.`);
+        }
+        if (room.pickup !== undefined && room.pickup !== "enter" && room.pickup !== "use") {
+            problems.push(`${type}: invalid pickup ${JSON.stringify(room.pickup)}, expected "enter" or "use".`);
+        }
+        if (typeof room.lockChance !== "number" || !(0 <= room.lockChance && room.lockChance <= 1)) {
+            problems.push(`${type}: invalid lockChance ${JSON.stringify(room.lockChance)}, expected a number from 0 to 1.`);
+        }
+        if (room.lock !== undefined) {
+            if (!(room.lock?.item in ItemTexts) || room.lock.item === "lock") {
+                const items = Object.keys(ItemTexts).filter(item => item !== "lock");
+                problems.push(`${type}: lock: unknown item ${JSON.stringify(room.lock?.item)}, expected one of ${items.join(", ")}.`);
+            }
+            if (!(Number.isInteger(room.lock?.amount) && room.lock.amount >= 1)) {
+                problems.push(`${type}: lock: invalid amount ${JSON.stringify(room.lock?.amount)}, expected a whole number of at least 1.`);
+            }
+        }
+        if (room.shapes !== undefined) {
+            if (!Array.isArray(room.shapes) || room.shapes.length === 0) {
+                problems.push(`${type}: invalid shapes ${JSON.stringify(room.shapes)}, expected a list of at least one shape.`);
+            } else {
+                room.shapes
+                    .filter(shape => !(shape in ROOM_SHAPES))
+                    .forEach(shape => problems.push(`${type}: unknown shape ${JSON.stringify(shape)}, expected one of ${Object.keys(ROOM_SHAPES).join(", ")}.`));
+            }
+        }
+        if (room.interrupts !== undefined && typeof room.interrupts !== "boolean") {
+            problems.push(`${type}: invalid interrupts ${JSON.stringify(room.interrupts)}, expected true or false.`);
+        }
+        const wares = Object.keys(SHOP_STOCK).length;
+        if (room.shop !== undefined && !(Number.isInteger(room.shop) && 1 <= room.shop && room.shop <= wares)) {
+            problems.push(`${type}: invalid shop ${JSON.stringify(room.shop)}, expected a number of offers from 1 to ${wares}.`);
+        }
+    });
+
+    // once-per-run and unlockable types may all be gone, the deck is refilled with the others
+    const refillable = Object.values(catalog.rooms)
+        .filter(room => Number.isInteger(room?.copies) && room.copies > 0 && !room.oncePerRun && room.unlock === undefined);
+    if (refillable.length === 0) {
+        problems.push("No room can be drafted, at least one type without oncePerRun or unlock must have copies above 0.");
+    }
+    return problems;
+};
+
+/**
+ * Every room type of the game, loaded from the room catalog.
+ * @type {Record<EffectType, Effect>}
+ */
+const Effects = {};
+
+/**
+ * Replaces the room types of the game with the ones of the given catalog, if it is valid.
+ * @param {any} catalog - the parsed JSON
+ * @return {string[]} the problems found by {@link validateRoomCatalog}, nothing is loaded if there are any
+ */
+const loadRoomCatalog = (catalog) => {
+    const problems = validateRoomCatalog(catalog);
+    if (problems.length === 0) {
+        Object.keys(Effects).forEach(type => delete Effects[type]);
+        Object.entries(JSON.parse(JSON.stringify(migrateRoomCatalog(catalog).rooms))).forEach(([type, room]) => {
+            const leave = room.leave ?? [];
+            const use = room.use ?? [];
+            Effects[type] = {
+                ...room,
+                leave,
+                use,
+                useLimit: room.useLimit ?? -1,
+                pickup: room.pickup ?? "enter",
+                description: describeEffect(room.effect),
+                leaveDescription: describeEffect(leave),
+                useDescription: describeEffect(use),
+            };
+        });
+    }
+    return problems;
+};
+
+loadRoomCatalog(DEFAULT_ROOM_CATALOG);
+
+class Room {
+    /** @type {Record<RoomEvent, string>} */
+    events;
+    /** @type {Record<Direction, Hallway>} */
+    hallways;
+    /** @type {boolean} */
+    revealed;
+    /** @type {number} */
+    triggerCount;
+    /** @type {number} */
+    useCount;
+    /** @type {FloorItem[]} */
+    items;
+    /** @type {PuzzleFragment | null} */
+    fragment;
+    /** @type {ShapeType | null} */
+    shape;
+    /**
+     * Ids of the wares the room sells, see {@link SHOP_STOCK}.
+     * @type {string[]}
+     */
+    offers;
+    /** @type {Coord} */
+    coord;
+
+    /** @param {Room | undefined} values */
+    constructor(values = undefined) {
+        if (!!values) {
+            this.events = values.events;
+            this.hallways = values.hallways;
+            this.revealed = values.revealed;
+            this.triggerCount = values.triggerCount;
+            this.useCount = values.useCount;
+            this.items = values.items;
+            this.fragment = values.fragment;
+            this.shape = values.shape;
+            this.offers = values.offers;
+            this.coord = values.coord;
+        } else {
+            this.#defaults();
+        }
+    }
+
+    #defaults() {
+        this.events = {
+            "enter": "noop",
+            "exit": "noop",
+            "use": "noop",
+        }
+        this.hallways = {
+            NORTH: {status: "unknown", enabled: true},
+            NORTH_EAST: {status: "unknown", enabled: true},
+            SOUTH_EAST: {status: "unknown", enabled: true},
+            SOUTH: {status: "unknown", enabled: true},
+            SOUTH_WEST: {status: "unknown", enabled: true},
+            NORTH_WEST: {status: "unknown", enabled: true},
+        };
+        this.revealed = false;
+        this.triggerCount = 0;
+        this.useCount = 0;
+        this.items = [];
+        this.fragment = null;
+        this.shape = null;
+        this.offers = [];
+        this.coord = {row: -1, col: -1};
+
+    }
+
+    /**
+     * @param {string} event
+     * @param {Game} game the game the event happens in
+     */
+    #invokeEvent(event, game) {
+        const effect = Effects[event];
+        if (effect.triggerLimit !== -1 && this.triggerCount >= effect.triggerLimit) {
+            // Effect limitation exhausted
+            game.lastEffect = "";
+            return;
+        }
+        /** @type {string[]} */
+        const events = [];
+        const completed = runEffect(game, effect.effect, events);
+        game.lastEffect = describeEvents(events);
+        if (completed && effect.effect.length > 0 && effect.triggerLimit !== -1) {
+            // only effects that went through count, e.g. a treasury still pays once the player comes back
+            this.triggerCount += 1;
+        }
+    }
+
+    /**
+     * Called when the player enters the room.
+     * @param {Game} game
+     */
+    enter(game) {
+        this.#invokeEvent(this.events.enter, game);
+        if (Effects[this.events.enter].pickup === "enter") {
+            game.lastEffect = [game.lastEffect, this.#pickUpItems(game)].filter(text => text !== "").join(" ");
+        }
+        if (this.canBuy() && game.getState() === "move") {
+            game.setState("shop");
+        }
+    }
+
+    /**
+     * Hands the items lying in the room to the player, and empties the room.
+     * @param {Game} game
+     * @return {string} what the player picked up, empty if nothing
+     */
+    #pickUpItems(game) {
+        if (this.items.length === 0) {
+            return "";
+        }
+        const text = `You picked up ${describeItems(this.items)}.`;
+        this.items.forEach(({item, amount}) => game.collectResource(item, amount));
+        this.items = [];
+        return text;
+    }
+
+    /**
+     * @return {boolean} true if the room has items to pick up by using it, a fragment, offers to browse, or a use-effect
+     * that has not reached its limit
+     */
+    canUse() {
+        return this.#hasItemsToUse() || this.fragment !== null || this.canBuy() || this.#hasUseEffect();
+    }
+
+    /**
+     * @return {boolean} true if the room has offers, and has not sold as many wares as the triggerLimit of its type allows
+     */
+    canBuy() {
+        const {triggerLimit} = Effects[this.events.enter];
+        return this.offers.length > 0 && (triggerLimit === -1 || this.triggerCount < triggerLimit);
+    }
+
+    /** @return {boolean} */
+    #hasItemsToUse() {
+        return this.items.length > 0 && Effects[this.events.enter].pickup === "use";
+    }
+
+    /** @return {boolean} */
+    #hasUseEffect() {
+        const effect = Effects[this.events.use];
+        return effect.use.length > 0 && (effect.useLimit === -1 || this.useCount < effect.useLimit);
+    }
+
+    /**
+     * Called when the player uses the room they stand in.
+     * @param {Game} game
+     */
+    use(game) {
+        if (!this.canUse()) return;
+        // the items come first, the use-effect may need them
+        const pickedUp = this.#hasItemsToUse() ? this.#pickUpItems(game) : "";
+        const swapped = this.fragment !== null ? this.#swapFragment(game) : "";
+        /** @type {string[]} */
+        const events = [];
+        if (this.#hasUseEffect() && runEffect(game, Effects[this.events.use].use, events)) {
+            this.useCount += 1;
+        }
+        game.lastEffect = [pickedUp, swapped, describeEvents(events)].filter(text => text !== "").join(" ");
+        if (this.canBuy() && game.getState() === "move") {
+            game.setState("shop");
+        }
+    }
+
+    /**
+     * Puts the fragment of the room into the player's puzzle piece, leaving the part it replaces in the room.
+     * @param {Game} game
+     * @return {string} what happened
+     */
+    #swapFragment(game) {
+        const taken = this.fragment;
+        const held = game.puzzle.pieces[taken.aspect];
+        game.setPuzzlePiece(taken.aspect, taken.value);
+        this.fragment = held === undefined ? null : {aspect: taken.aspect, value: held};
+        const left = this.fragment ? `, leaving ${describeFragment(this.fragment)}` : "";
+        return `You took ${describeFragment(taken)}${left}.`;
+    }
+
+    /**
+     * Called when the player leaves the room, before going through the hallway. The leave effect may change the move.
+     * @param {Game} game
+     * @param {Move} move
+     */
+    exit(game, move) {
+        /** @type {string[]} */
+        const events = [];
+        runEffect(game, Effects[this.events.exit].leave, events, move);
+        game.lastEffect = describeEvents(events);
+    }
+
+    /**
+     *
+     * @returns {Room} copy of this
+     */
+    copy() {
+        return new Room(JSON.parse(JSON.stringify(this)));
+    }
+}
+
+/**
+ * Represents a draft state used for room placement and selection.
+ * @typedef {Object} Draft
+ * @property {number} index - The currently selected room index in the draft.
+ * @property {Coord} position - The grid coordinate where the draft is positioned.
+ * @property {Direction} direction - Direction of placement for the current room.
+ * @property {Room[]} options - Array of room options available in the draft.
+ * @property {EffectType[]} deck - Rooms left to draw in the run, by type, one entry per copy.
+ */
+
+
+/**
+ *
+ * @param {number} value
+ * @param {number} lower
+ * @param {number} upper
+ * @returns {number} the clamped value
+ */
+const clamp = (value, lower, upper) => value < lower ? lower : value > upper ? upper : value;
+
+/**
+ * Things happening in a game that the outside world (e.g. the renderer) may want to react to.
+ * @typedef {"start"|"move"|"use"|"buy"|"refresh"|"rotate"|"place"|"restore"|"defeat"|"victory"} GameEvent
+ */
+
+/**
+ * What happened during a run, for the summaries at its end.
+ * @typedef {Object} RunStats
+ * @property {number} stepsTaken - Number of moves from one room to another.
+ * @property {Partial<Record<EffectType, number>>} roomsDrafted - Number of placed rooms, by type.
+ * @property {number} refreshes - Number of bought draft refreshes.
+ * @property {Partial<Record<Item, number>>} collected - Amount of each item found in rooms, see {@link Game#collectResource}.
+ * @property {Partial<Record<Item, number>>} spent - Amount of each item paid or lost.
+ */
+
+/**
+ * Layout of the board a run is played on.
+ * @typedef {Object} BoardConfig
+ * @property {string} name - Name of the layout, for presets their key in {@link BOARD_PRESETS}.
+ * @property {number} rows - Number of rows in the grid.
+ * @property {number} cols - Number of columns in the grid.
+ * @property {Coord} start - Where the player starts.
+ * @property {Coord[]} exits - Where the exits are, reaching any of them wins the run.
+ * @property {Record<Direction, Hallway>} startHallways - Hallways of the starting room.
+ * @property {Record<Direction, Hallway>} exitHallways - Hallways of the exit rooms.
+ * @property {Partial<Record<Item, number>>} resources - Resources of the player at the start of a run.
+ */
+
+/**
+ * Hallways of a starting room on the western edge: every way leads east.
+ * @type {Record<Direction, Hallway>}
+ */
+const WEST_EDGE_START_HALLWAYS = {
+    NORTH: {status: "unknown", enabled: true},
+    NORTH_EAST: {status: "unknown", enabled: true},
+    SOUTH_EAST: {status: "unknown", enabled: true},
+    SOUTH: {status: "unknown", enabled: true},
+    SOUTH_WEST: {status: "blocked", enabled: true},
+    NORTH_WEST: {status: "blocked", enabled: true},
+};
+
+/**
+ * Hallways of an exit room that can only be entered from the west.
+ * @type {Record<Direction, Hallway>}
+ */
+const WEST_FACING_EXIT_HALLWAYS = {
+    NORTH: {status: "unknown", enabled: true},
+    NORTH_EAST: {status: "blocked", enabled: true},
+    SOUTH_EAST: {status: "blocked", enabled: true},
+    SOUTH: {status: "unknown", enabled: true},
+    SOUTH_WEST: {status: "unknown", enabled: true},
+    NORTH_WEST: {status: "unknown", enabled: true},
+};
+
+/** @type {Record<string, BoardConfig>} */
+const BOARD_PRESETS = {
+    "small": {
+        name: "small",
+        rows: 4,
+        cols: 8,
+        start: {row: 1, col: 0},
+        exits: [{row: 2, col: 6}],
+        startHallways: WEST_EDGE_START_HALLWAYS,
+        exitHallways: WEST_FACING_EXIT_HALLWAYS,
+        resources: {"steps": 30, "keys": 1, "gems": 0},
+    },
+    "classic": {
+        name: "classic",
+        rows: 5,
+        cols: 13,
+        start: {row: 2, col: 0},
+        exits: [{row: 2, col: 9}],
+        startHallways: WEST_EDGE_START_HALLWAYS,
+        exitHallways: WEST_FACING_EXIT_HALLWAYS,
+        resources: {"steps": 40, "keys": 1, "gems": 0},
+    },
+    "large": {
+        name: "large",
+        rows: 7,
+        cols: 17,
+        start: {row: 3, col: 0},
+        exits: [{row: 1, col: 14}, {row: 5, col: 14}],
+        startHallways: WEST_EDGE_START_HALLWAYS,
+        exitHallways: WEST_FACING_EXIT_HALLWAYS,
+        resources: {"steps": 55, "keys": 2, "gems": 0},
+    },
+    "long-corridor": {
+        name: "long-corridor",
+        rows: 3,
+        cols: 21,
+        start: {row: 1, col: 0},
+        exits: [{row: 1, col: 19}],
+        startHallways: WEST_EDGE_START_HALLWAYS,
+        exitHallways: WEST_FACING_EXIT_HALLWAYS,
+        resources: {"steps": 50, "keys": 1, "gems": 0},
+    },
+};
+
+/**
+ * Options used when creating a game.
+ * @typedef {Object} GameOptions
+ * @property {number} [seed] - Seed of the gameplay random generator. Defaults to the current time.
+ * @property {number} [undoBudget] - How many undos a run may use: -1 for unlimited (default), 0 to disable undo.
+ * @property {BoardConfig} [board] - Layout of the board. Defaults to the classic one.
+ * @property {string[]} [unlocks] - Ids of the unlocks the runs are played with, none by default.
+ */
+
+/**
+ * How many steps back a game remembers for undo.
+ * @type {number}
+ */
+const MAX_UNDO_HISTORY = 100;
+
+/**
+ * Plain data copy of everything that makes up a game, see {@link Game#serialize}.
+ * @typedef {Object} GameSnapshot
+ * @property {number} rows - Number of rows in the grid.
+ * @property {number} cols - Number of columns in the grid.
+ * @property {Room[][]} grid - The rooms of the grid, including their trigger counts and hallway statuses.
+ * @property {Coord} player - Current player position.
+ * @property {Coord[]} exits - Exit locations.
+ * @property {BoardConfig} board - Layout of the board the run is played on.
+ * @property {GameState} state - Current gameplay state.
+ * @property {Partial<Record<Item, number>>} resources - Resources of the player.
+ * @property {boolean} running - Whether the game loop is active.
+ * @property {string} lastEffect - Most recently triggered effect text.
+ * @property {Draft} draft - The draft pool, including the current options.
+ * @property {RNGState} rng - Internal state of the gameplay random generator.
+ * @property {ReplayAction[]} actions - Every action of the player since the start of the run.
+ * @property {number} undosLeft - How many undos the run may still use, -1 if unlimited.
+ * @property {DefeatReason | null} defeatReason - Why the run has been lost, null while it has not.
+ * @property {RunStats} stats - What happened during the run.
+ * @property {number} playTime - Time spent playing the run, in milliseconds.
+ * @property {Puzzle} puzzle - The symbol puzzle guarding the exits.
+ * @property {string[]} unlocks - Ids of the unlocks the run is played with.
+ */
+
+/**
+ * A single action of the player. Applying the same actions to a run with the same seed reproduces it exactly.
+ * @typedef {{type: "move", direction: Direction}
+ * | {type: "use"}
+ * | {type: "select", index: number}
+ * | {type: "place", index: number}
+ * | {type: "rotate", turns: number}
+ * | {type: "refresh"}
+ * | {type: "buy", index: number}
+ * | {type: "closeShop"}
+ * | {type: "grant", item: Item, amount: number}} ReplayAction
+ */
+
+/**
+ * Everything needed to reproduce a run.
+ * @typedef {Object} Replay
+ * @property {number} seed - Seed of the run.
+ * @property {BoardConfig} board - Layout of the board of the run.
+ * @property {string[]} unlocks - Ids of the unlocks the run has been played with.
+ * @property {ReplayAction[]} actions - The actions of the player, in order.
+ */
+
+class Game {
+    /**
+     * Number of rows in the grid.
+     * @type {number}
+     */
+    #rows;
+
+    /**
+     * Number of columns in the grid.
+     * @type {number}
+     */
+    #cols;
+
+    /**
+     * 2D array representing the hexagonal grid layout of rooms.
+     * @type {Room[][]}
+     */
+    #grid;
+
+    /**
+     * Current player position on the grid.
+     * @type {Coord}
+     */
+    #player;
+
+    /**
+     * Exit locations in the grid.
+     * @type {Coord[]}
+     */
+    #exits;
+
+    /**
+     * Layout of the board the current run is played on.
+     * @type {BoardConfig}
+     */
+    #board;
+
+    /**
+     * Current gameplay state.
+     * @type {GameState}
+     */
+    #currentState;
+
+    /**
+     * Collection of resource types and their quantities.
+     * Keys are item names, values are counts.
+     * @type {Partial<Record<Item, number>>}
+     */
+    #resources;
+
+    /**
+     * Whether the game loop is currently active.
+     * @type {boolean}
+     */
+    #running;
+
+    /**
+     * Text of the most recently triggered effect, or any other message for the player.
+     * @type {string}
+     */
+    #lastEffect;
+
+    /**
+     * Timestamp from last game tick or update.
+     * @type {number}
+     */
+    #lastTimeStamp;
+
+    /**
+     * Draft pool used for room placement.
+     * Values are randomly generated upon entering draft mode.
+     * @type {Draft}
+     */
+    #draft;
+
+    /**
+     * Every action of the player since the start of the run, see {@link performAction}.
+     * @type {ReplayAction[]}
+     */
+    #actions;
+
+    /**
+     * How many undos a run may use: -1 for unlimited, 0 to disable undo.
+     * @type {number}
+     */
+    #undoBudget;
+
+    /**
+     * How many undos the current run may still use, -1 if unlimited.
+     * @type {number}
+     */
+    #undosLeft;
+
+    /**
+     * Why the current run has been lost, null while it has not.
+     * @type {DefeatReason | null}
+     */
+    #defeatReason;
+
+    /**
+     * What happened during the current run.
+     * @type {RunStats}
+     */
+    #stats;
+
+    /**
+     * Time spent playing the current run, in milliseconds.
+     * @type {number}
+     */
+    #playTime;
+
+    /**
+     * The symbol puzzle guarding the exits.
+     * @type {Puzzle}
+     */
+    #puzzle;
+
+    /**
+     * Ids of the unlocks the current run is played with, see {@link UNLOCKS}.
+     * @type {string[]}
+     */
+    #unlocks;
+
+    /**
+     * Snapshots of the game before its last changes, the most recent one last.
+     * @type {GameSnapshot[]}
+     */
+    #undoStack = [];
+
+    /**
+     * Snapshots of the game before its last undos, the most recent one last.
+     * @type {GameSnapshot[]}
+     */
+    #redoStack = [];
+
+    /**
+     * Random generator driving every gameplay decision of this game.
+     * @type {SeededRNG}
+     */
+    #rng;
+
+    /**
+     * Handlers subscribed to the events of this game.
+     * @type {Map<GameEvent, ((...args: any[]) => void)[]>}
+     */
+    #listeners = new Map();
+
+    /**
+     * Grid row index beneath the mouse pointer.
+     * @type {number}
+     */
+    mouseGridRow;
+
+    /**
+     * Grid column index beneath the mouse pointer.
+     * @type {number}
+     */
+    mouseGridCol;
+
+    /**
+     * What the draft constraints did on the last draft, for the debug view. Not saved.
+     * @type {{name: string, outcome: DraftRuleOutcome}[]}
+     */
+    draftReport = [];
+
+    /** @param {GameOptions} options */
+    constructor(options = {}) {
+        this.#rng = new SeededRNG();
+        this.#undoBudget = options.undoBudget ?? -1;
+        this.newGame(options.seed ?? Date.now(), options.board ?? BOARD_PRESETS.classic, options.unlocks ?? []);
+    }
+
+    /**
+     * Starts a new run.
+     * @param {number} seed - seed of the run, a new one (based on the current time) by default
+     * @param {BoardConfig} board - layout of the board, the one of the current run by default
+     * @param {string[]} unlocks - ids of the unlocks to play with, the ones of the current run by default
+     */
+    newGame(seed = Date.now(), board = this.#board, unlocks = this.#unlocks) {
+        const layout = JSON.parse(JSON.stringify(board));
+        const unknown = unlocks.find(id => !(id in UNLOCKS));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown unlock: ${unknown}`);
+        }
+        this.#unlocks = [...unlocks];
+        const unlocked = unlocks.map(id => UNLOCKS[id]);
+        const inside = (coord) => 0 <= coord.row && coord.row < layout.rows && 0 <= coord.col && coord.col < layout.cols;
+        if (!inside(layout.start) || layout.exits.length === 0 || !layout.exits.every(inside)) {
+            throw new Error(`Invalid board ${layout.name}: the start and exits must be on the grid`);
+        }
+        this.#board = layout;
+        this.#rng.setSeed(seed);
+        this.#rows = layout.rows;
+        this.#cols = layout.cols;
+
+        this.#grid = Array.from({length: this.#rows},
+            (_, row) => Array.from({length: this.#cols},
+                (_, col) => {
+                    /** @type {Room}*/
+                    const room = new Room();
+                    room.coord.row = row;
+                    room.coord.col = col;
+                    return room;
+                })
+        );
+
+        this.#player = {...layout.start};
+        this.atCoord(this.player).events = {
+            enter: "noop",
+            exit: "noop",
+            use: "noop",
+        };
+        this.atCoord(this.player).revealed = true;
+        this.atCoord(this.player).hallways = JSON.parse(JSON.stringify(layout.startHallways));
+
+        this.#exits = layout.exits.map(exit => ({...exit}));
+        this.#exits.forEach(exit => {
+            this.atCoord(exit).events = {
+                enter: "exit",
+                exit: "noop",
+                use: "noop",
+            };
+            this.atCoord(exit).revealed = true;
+            this.atCoord(exit).hallways = JSON.parse(JSON.stringify(layout.exitHallways));
+        });
+        this.#draft = {
+            index: 0,
+            position: {
+                row: 0,
+                col: 0,
+            },
+            direction: "NORTH",
+            options: Array.from({length: Math.max(3, ...unlocked.map(unlock => unlock.draftOptions ?? 0))}, () => new Room()),
+            deck: newRoomDeck(this.#unlocks),
+        };
+        this.#draft.options.forEach(draft => draft.revealed = true);
+
+        this.#resources = {...layout.resources};
+        unlocked.forEach(unlock => Object.entries(unlock.resources ?? {}).forEach(([item, amount]) => {
+            this.#resources[item] = (this.#resources[item] ?? 0) + amount;
+        }));
+
+        this.mouseGridRow = -1;
+        this.mouseGridCol = -1;
+
+        this.#lastTimeStamp = 0;
+        this.#lastEffect = "noop";
+        this.#actions = [];
+        this.#undosLeft = this.#undoBudget;
+        this.#defeatReason = null;
+        this.#stats = {stepsTaken: 0, roomsDrafted: {}, refreshes: 0, collected: {}, spent: {}};
+        this.#playTime = 0;
+        const puzzleStream = this.#rng.stream("puzzle");
+        this.#puzzle = {
+            solution: {
+                innerSymbol: /** @type {PuzzleSymbol} */ (randomElement(PUZZLE_VALUES.innerSymbol, puzzleStream)),
+                outerSymbol: /** @type {AltSymbol} */ (randomElement(PUZZLE_VALUES.outerSymbol, puzzleStream)),
+                fillColor: randomElement(PUZZLE_VALUES.fillColor, puzzleStream),
+                lineType: /** @type {LineType} */ (randomElement(PUZZLE_VALUES.lineType, puzzleStream)),
+            },
+            pieces: {},
+        };
+        this.#undoStack = [];
+        this.#redoStack = [];
+
+        this.setState("move");
+        this.play();
+        this.emit("start");
+    }
+
+    get rows() {
+        return this.#rows;
+    }
+
+    get cols() {
+        return this.#cols;
+    }
+
+    /**
+     *
+     * @return {Coord}
+     */
+    get player() {
+        return this.#player;
+    }
+
+    /**
+     *
+     * @return {Coord[]}
+     */
+    get exits() {
+        return this.#exits;
+    }
+
+    /**
+     * Layout of the board the current run is played on.
+     * @return {BoardConfig}
+     */
+    get board() {
+        return this.#board;
+    }
+
+    /**
+     * Whether there is an exit at the given position.
+     * @param {Coord} coord
+     * @return {boolean}
+     */
+    isExitCoord(coord) {
+        return this.#exits.some(exit => areEqualCoords(exit, coord));
+    }
+
+    /**
+     Moves the player to the given position.
+
+     @assumes The coord is a valid coordinate on the grid
+     @param {number} row the row number
+     @param {number} col the column number
+     * */
+    movePlayerTo(row, col) {
+        this.#player.row = row;
+        this.#player.col = col;
+    }
+
+    /**
+     * Moves the player to the given position.
+     *
+     * @assumes The coord is a valid coordinate on the grid
+     * @param {Coord} coord
+     * */
+    movePlayerToCoord(coord) {
+        this.movePlayerTo(coord.row, coord.col);
+    }
+
+    /**
+     * Returns the room at the given position.
+     * @assumes The coord is a valid coordinate on the grid
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * @return {Room} the room in the grid.
+     * */
+    at(row, col) {
+        return this.#grid[row][col];
+    }
+
+    /**
+     * Returns the room at the given position.
+     *
+     * @assumes The coord is a valid coordinate on the grid
+     * @param {Coord} coord
+     * @return {Room} the room in the grid.
+     * */
+    atCoord(coord) {
+        return this.at(coord.row, coord.col);
+    }
+
+    /**
+     *
+     * @param {Room} room
+     */
+    placeRoom(room) {
+        if (this.validCoord(room.coord)) {
+            this.#grid[room.coord.row][room.coord.col] = room;
+        }
+    }
+
+    /**
+     * Returns whether the given coordinate is valid on the grid.
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * @return {boolean} true if so, false otherwise
+     * */
+    valid(row, col) {
+        return 0 <= row && row < this.#rows && 0 <= col && col < this.#cols;
+    }
+
+    /**
+     * Returns whether the given coordinate is valid on the grid.
+     *
+     * @param {Coord} coord
+     * @return {boolean} true if so, false otherwise
+     * */
+    validCoord(coord) {
+        return this.valid(coord.row, coord.col);
+    }
+
+    /**
+     * Sets the current game state
+     * @param {GameState} state
+     */
+    setState(state) {
+        this.#currentState = state;
+    }
+
+    /**
+     * Gets the current game state
+     * @return {GameState} current state
+     */
+    getState() {
+        return this.#currentState;
+    }
+
+    /**
+     * Sets whether the given room on the grid is revealed or not
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * @param {boolean} value
+     * */
+    #setRevealed(row, col, value) {
+        this.at(row, col).revealed = value;
+    }
+
+    /**
+     * Reveals the given room on the grid
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * */
+    #reveal(row, col) {
+        this.#setRevealed(row, col, true);
+    }
+
+    /**
+     * Reveals the given room on the grid
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * */
+    #hide(row, col) {
+        this.#setRevealed(row, col, false);
+    }
+
+    /**
+     * Checks whether the given room on the grid is revealed
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * */
+    isRevealed(row, col) {
+        return this.at(row, col).revealed;
+    }
+
+    /**
+     Checks whether the given room on the grid is revealed
+     *
+     * @param {Coord} coord coord
+     * */
+    isRevealedCoord(coord) {
+        return this.isRevealed(coord.row, coord.col);
+    }
+
+    /**
+     Checks whether the given room on the grid is hidden
+     *
+     * @param {number} row the row number
+     * @param {number} col the column number
+     * */
+    isHidden(row, col) {
+        return !this.isRevealed(row, col);
+    }
+
+    /**
+     Checks whether the given room on the grid is hidden
+     *
+     * @param {Coord} coord the coordinate
+     * */
+    isHiddenCoord(coord) {
+        return this.isHidden(coord.row, coord.col);
+    }
+
+    /**
+     * Retrieves the amount of the selected item in the player resources.
+     *  @param {Item} item
+     *  */
+    getResource(item) {
+        return this.#resources[item] ?? 0;
+    }
+
+    /**
+     * Adds the selected item to the player resources.
+     *  @param {Item} item
+     *  @param {number} amount
+     *  */
+    addResource(item, amount = 1) {
+        if (!(item in this.#resources)) {
+            this.#resources[item] = 0;
+        }
+        this.#resources[item] += amount;
+    }
+
+    /**
+     * Hands the player items found in a room, lying there or given by its effect, counting them in the run stats.
+     * Other gains (bought, or cheats) go through {@link Game#addResource} and are not counted.
+     *  @param {Item} item
+     *  @param {number} amount
+     *  */
+    collectResource(item, amount) {
+        this.addResource(item, amount);
+        this.#stats.collected[item] = (this.#stats.collected[item] ?? 0) + amount;
+    }
+
+    /**
+     * Removes the selected item from the player resources.
+     *  @param {Item} item
+     *  @param {number} amount
+     *  */
+    removeResource(item, amount = 1) {
+        if (item in this.#resources) {
+            const removed = Math.min(amount, this.#resources[item]);
+            this.#resources[item] -= removed;
+            this.#stats.spent[item] = (this.#stats.spent[item] ?? 0) + removed;
+        }
+    }
+
+    /**
+     * Sets the selected item count in the player resources.
+     *  @param {Item} item
+     *  @param {number} amount
+     *  */
+    setResource(item, amount) {
+        this.#resources[item] = amount;
+    }
+
+    /**
+     *
+     * @return {{type: Item, count: number}[]}
+     */
+    getResources() {
+        return Object.entries(this.#resources).map(([key, value]) => ({
+            /** @type {Item} */
+            type: key,
+            /** @type {number} */
+            count: value
+        }));
+    }
+
+    pause() {
+        this.#running = false;
+    }
+
+    play() {
+        this.#running = true;
+    }
+
+    get isRunning() {
+        return this.#running;
+    }
+
+    get draft() {
+        return this.#draft;
+    }
+
+    get rng() {
+        return this.#rng;
+    }
+
+    /**
+     * Appends the given action to the log of the run.
+     * @param {ReplayAction} action
+     */
+    record(action) {
+        this.#actions.push(action);
+    }
+
+    /**
+     * Everything needed to reproduce the current run.
+     * @return {Replay}
+     */
+    get replay() {
+        return {
+            seed: this.seed,
+            board: JSON.parse(JSON.stringify(this.#board)),
+            unlocks: [...this.#unlocks],
+            actions: this.#actions.map(action => ({...action})),
+        };
+    }
+
+    /**
+     * The seed the current run has been started with.
+     * @return {number}
+     */
+    get seed() {
+        return this.#rng.initialSeed;
+    }
+
+    /**
+     * Subscribes to an event of this game.
+     * @param {GameEvent} event
+     * @param {(...args: any[]) => void} handler
+     */
+    on(event, handler) {
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, []);
+        }
+        this.#listeners.get(event).push(handler);
+    }
+
+    /**
+     * Notifies every handler subscribed to the given event.
+     * @param {GameEvent} event
+     * @param {...any} args
+     */
+    emit(event, ...args) {
+        (this.#listeners.get(event) ?? []).forEach(handler => handler(...args));
+    }
+
+    /**
+     * Takes a deep, plain data copy of the whole game, which can be turned into JSON as is.
+     * @return {GameSnapshot}
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify({
+            rows: this.#rows,
+            cols: this.#cols,
+            grid: this.#grid,
+            player: this.#player,
+            exits: this.#exits,
+            board: this.#board,
+            state: this.#currentState,
+            resources: this.#resources,
+            running: this.#running,
+            lastEffect: this.#lastEffect,
+            draft: this.#draft,
+            rng: this.#rng.state,
+            actions: this.#actions,
+            undosLeft: this.#undosLeft,
+            defeatReason: this.#defeatReason,
+            stats: this.#stats,
+            playTime: this.#playTime,
+            puzzle: this.#puzzle,
+            unlocks: this.#unlocks,
+        }));
+    }
+
+    /**
+     * Replaces the whole game with the given snapshot. Nothing done before can be undone afterwards.
+     * @param {GameSnapshot} snapshot
+     */
+    restore(snapshot) {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#load(snapshot);
+    }
+
+    /** @param {GameSnapshot} snapshot */
+    #load(snapshot) {
+        const copy = JSON.parse(JSON.stringify(snapshot));
+        this.#rows = copy.rows;
+        this.#cols = copy.cols;
+        this.#grid = copy.grid.map(row => row.map(room => new Room(room)));
+        this.#player = copy.player;
+        this.#exits = copy.exits;
+        this.#board = copy.board;
+        this.#currentState = copy.state;
+        this.#resources = copy.resources;
+        this.#running = copy.running;
+        this.#lastEffect = copy.lastEffect;
+        this.#draft = {...copy.draft, options: copy.draft.options.map(room => new Room(room))};
+        this.#rng.state = copy.rng;
+        this.#actions = copy.actions;
+        this.#undosLeft = copy.undosLeft;
+        this.#defeatReason = copy.defeatReason;
+        this.#stats = copy.stats;
+        this.#playTime = copy.playTime;
+        this.#puzzle = copy.puzzle;
+        this.#unlocks = copy.unlocks;
+        this.emit("restore");
+    }
+
+    /**
+     * Remembers the given snapshot (taken before a change) as the next one to undo to.
+     * Whatever has been undone before cannot be redone anymore.
+     * @param {GameSnapshot} snapshot
+     */
+    pushHistory(snapshot) {
+        this.#undoStack.push(snapshot);
+        if (this.#undoStack.length > MAX_UNDO_HISTORY) {
+            this.#undoStack.shift();
+        }
+        this.#redoStack = [];
+    }
+
+    get canUndo() {
+        return this.#undoStack.length > 0 && this.#undosLeft !== 0;
+    }
+
+    get canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Goes back to the state before the last move or room placement, using up one undo of the budget.
+     * @return {boolean} true if something has been undone, false otherwise
+     */
+    undo() {
+        if (!this.canUndo) {
+            return false;
+        }
+        const undosLeft = this.#undosLeft === -1 ? -1 : this.#undosLeft - 1;
+        this.#redoStack.push(this.serialize());
+        this.#load({...this.#undoStack.pop(), undosLeft, playTime: this.#playTime});
+        return true;
+    }
+
+    /**
+     * Does the last undone change again. Redoing is free.
+     * @return {boolean} true if something has been redone, false otherwise
+     */
+    redo() {
+        if (!this.canRedo) {
+            return false;
+        }
+        const undosLeft = this.#undosLeft;
+        this.#undoStack.push(this.serialize());
+        this.#load({...this.#redoStack.pop(), undosLeft, playTime: this.#playTime});
+        return true;
+    }
+
+    /**
+     * How many undos a run may use: -1 for unlimited, 0 to disable undo. Changes apply from the next run.
+     * @return {number}
+     */
+    get undoBudget() {
+        return this.#undoBudget;
+    }
+
+    /** @param {number} value */
+    set undoBudget(value) {
+        this.#undoBudget = value;
+    }
+
+    /**
+     * How many undos the current run may still use, -1 if unlimited.
+     * @return {number}
+     */
+    get undosLeft() {
+        return this.#undosLeft;
+    }
+
+    /**
+     * Why the current run has been lost, null while it has not.
+     * @return {DefeatReason | null}
+     */
+    get defeatReason() {
+        return this.#defeatReason;
+    }
+
+    /**
+     * What happened during the current run.
+     * @return {RunStats}
+     */
+    get stats() {
+        return this.#stats;
+    }
+
+    /**
+     * Time spent playing the current run, in milliseconds.
+     * @return {number}
+     */
+    get playTime() {
+        return this.#playTime;
+    }
+
+    /**
+     * Ids of the unlocks the current run is played with.
+     * @return {string[]}
+     */
+    get unlocks() {
+        return this.#unlocks;
+    }
+
+    /**
+     * The symbol puzzle guarding the exits.
+     * @return {Puzzle}
+     */
+    get puzzle() {
+        return this.#puzzle;
+    }
+
+    /**
+     * @param {PuzzleAspect} aspect
+     * @param {string} value
+     */
+    setPuzzlePiece(aspect, value) {
+        this.#puzzle.pieces = {...this.#puzzle.pieces, [aspect]: value};
+    }
+
+    /**
+     * Whether the player's piece matches the solution, which unseals the exits.
+     * @return {boolean}
+     */
+    get isPuzzleSolved() {
+        return Object.keys(PUZZLE_VALUES).every(aspect => this.#puzzle.pieces[aspect] === this.#puzzle.solution[aspect]);
+    }
+
+    /**
+     * Counts the given time as played, unless the run is paused or over.
+     * @param {number} milliseconds
+     */
+    advancePlayTime(milliseconds) {
+        if (this.#running) {
+            this.#playTime += milliseconds;
+        }
+    }
+
+    /**
+     * Ends the current run as won. The "victory" event follows once the move into the exit is complete.
+     */
+    win() {
+        this.setState("won");
+        this.pause();
+    }
+
+    /**
+     * Ends the current run as lost.
+     * @param {DefeatReason} reason
+     */
+    lose(reason) {
+        this.#defeatReason = reason;
+        this.setState("lost");
+        this.pause();
+        this.emit("defeat", reason);
+    }
+
+    get lastTimeStamp() {
+        return this.#lastTimeStamp;
+    }
+
+    set lastTimeStamp(value) {
+        this.#lastTimeStamp = value;
+    }
+
+    get lastEffect() {
+        return this.#lastEffect;
+    }
+
+    set lastEffect(value) {
+        this.#lastEffect = value;
+    }
+
+    /**
+     *
+     * @return {Room}
+     */
+    get playerRoom() {
+        return this.atCoord(this.#player);
+    }
+
+    /**
+     *
+     * @param {Direction} direction
+     * @return {boolean} true if so, false otherwise
+     */
+    canPlayerDraftTowards(direction) {
+        if (!direction) {
+            return false;
+        }
+        /**
+         *
+         * @type {Coord}
+         */
+        const neighborCoords = tileTowards(this.player, direction);
+        if (!this.validCoord(neighborCoords)) {
+            return false;
+        }
+
+        /**
+         *
+         * @type {Room}
+         */
+        const neighborRoom = this.atCoord(neighborCoords);
+        if (neighborRoom.revealed) {
+            return false;
+        }
+
+        /**
+         *
+         * @type {Room}
+         */
+        const playerRoom = this.playerRoom;
+        return playerRoom.hallways[direction].enabled && playerRoom.hallways[direction].status === "unknown";
+    }
+}
+
+/**
+ * @param {Coord} x
+ * @param {Coord} y
+ * @return {Coord}
+ * */
+const add = (x, y) => ({row: x.row + y.row, col: x.col + y.col});
+
+/** @type {Record<Direction, Coord>} */
+const HEX_DIRECTIONS_ODD_Q = {
+    NORTH: {row: -1, col: 0},
+    NORTH_EAST: {row: 0, col: +1},
+    SOUTH_EAST: {row: +1, col: +1},
+    SOUTH: {row: +1, col: 0},
+    SOUTH_WEST: {row: +1, col: -1},
+    NORTH_WEST: {row: 0, col: -1},
+};
+
+/** @type {Record<Direction, Coord>} */
+const HEX_DIRECTIONS_EVEN_Q = {
+    NORTH: {row: -1, col: 0},
+    NORTH_EAST: {row: -1, col: +1},
+    SOUTH_EAST: {row: 0, col: +1},
+    SOUTH: {row: +1, col: 0},
+    SOUTH_WEST: {row: 0, col: -1},
+    NORTH_WEST: {row: -1, col: -1},
+};
+/**
+ * @param {Coord} position
+ * @param {Direction} direction
+ * @return {Coord}
+ * */
+const tileTowards = (position, direction) => {
+    /** @type {Coord} */
+    const offset = position.col % 2 === 0 ? HEX_DIRECTIONS_EVEN_Q[direction] : HEX_DIRECTIONS_ODD_Q[direction];
+    return add(position, offset);
+}
+
+/**
+ * Builds a full deck of rooms, with the copies of every type.
+ * @param {string[]} unlocks - ids of the unlocks of the run, room types behind other ones are left out
+ * @param {EffectType[]} placedOnce - once-per-run types already placed, left out as well
+ * @return {EffectType[]}
+ */
+const newRoomDeck = (unlocks, placedOnce = []) => /** @type {EffectType[]} */ (Object.keys(Effects))
+    .filter(type => !Effects[type].unlock || unlocks.includes(Effects[type].unlock))
+    .filter(type => !placedOnce.includes(type))
+    .flatMap(type => Array(Effects[type].copies).fill(type));
+
+/**
+ * What a draft constraint did: nothing as it held already, "fired" when it left rooms out or changed an option,
+ * "failed" when it could not be met.
+ * @typedef {"held" | "fired" | "failed"} DraftRuleOutcome
+ */
+
+/**
+ * A rule every draft follows. Rules that allow room types are asked while the options are drawn, the others check
+ * the drawn options and fix one of them when they do not hold.
+ * @typedef {Object} DraftConstraint
+ * @property {string} name - What the rule asks for, shown in the debug view.
+ * @property {(game: Game, drawn: EffectType[], purpose: EffectType) => boolean} [allows] - Whether the room type may be
+ * drawn next to the ones drawn already.
+ * @property {(game: Game, survey: DraftSurvey) => boolean} [holds] - Whether the drawn options follow the rule.
+ * @property {(game: Game, survey: DraftSurvey) => boolean} [fix] - Changes the options so that the rule holds, false if
+ * it could not.
+ */
+
+/**
+ * How the board around the draft position leads to the exits, worked out once per draft, as the options come and go
+ * but the board stays the same.
+ * @typedef {Object} DraftSurvey
+ * @property {boolean} exitReachable - Whether an exit could be reached now, see {@link analyzeReachability}.
+ * @property {boolean} exitBypassed - Whether an exit could be reached without going through the draft position.
+ * @property {Map<string, number>} exitSteps - The fewest steps to the nearest exit, by tile (see {@link coordToString}),
+ * for the tiles that can get there without going through the draft position.
+ */
+
+/**
+ * @param {Game} game - a game in the draft state
+ * @return {DraftSurvey}
+ */
+const surveyDraft = (game) => {
+    const avoided = coordToString(game.draft.position);
+    const bypass = new Set([coordToString(game.player)]);
+    const pending = [game.player];
+    while (pending.length > 0) {
+        const coord = pending.shift();
+        DIRECTION_VALUES.forEach(direction => {
+            const next = tileTowards(coord, direction);
+            const key = coordToString(next);
+            if (game.validCoord(next) && key !== avoided && !bypass.has(key) && mayPass(game, coord, direction)) {
+                bypass.add(key);
+                pending.push(next);
+            }
+        });
+    }
+    // walked back from the exits
+    const exitSteps = new Map(game.exits.map(exit => [coordToString(exit), 0]));
+    const queue = [...game.exits];
+    while (queue.length > 0) {
+        const coord = queue.shift();
+        DIRECTION_VALUES.forEach(direction => {
+            const previous = tileTowards(coord, direction);
+            const key = coordToString(previous);
+            if (game.validCoord(previous) && key !== avoided && !exitSteps.has(key) && mayPass(game, previous, opposite(direction))) {
+                exitSteps.set(key, exitSteps.get(coordToString(coord)) + 1);
+                queue.push(previous);
+            }
+        });
+    }
+    return {
+        exitReachable: analyzeReachability(game).exitReachable,
+        exitBypassed: game.exits.some(exit => bypass.has(coordToString(exit))),
+        exitSteps,
+    };
+};
+
+/**
+ * @param {Game} game - a game in the draft state
+ * @param {Room} room - a draft option
+ * @param {Direction} direction
+ * @return {boolean} whether the player could go on from the room in the given direction, once placed
+ */
+const leadsTowards = (game, room, direction) => {
+    const next = tileTowards(game.draft.position, direction);
+    const hallway = room.hallways[direction];
+    if (!game.validCoord(next) || !hallway.enabled || hallway.status === "blocked") {
+        return false;
+    }
+    return game.isHiddenCoord(next) ? hallway.status === "unknown" : game.atCoord(next).hallways[opposite(direction)].enabled;
+};
+
+/**
+ * @param {Game} game
+ * @return {number[]} the indexes of the draft options the player could enter once placed, with what they have at hand
+ */
+const placeableDraftOptions = (game) => game.draft.options
+    .map((room, index) => index)
+    .filter(index => {
+        const door = game.draft.options[index].hallways[opposite(game.draft.direction)];
+        return door.status !== "locked" || canOpenLock(game, door.lock);
+    });
+
+/**
+ * @param {Game} game
+ * @param {number} index
+ * @return {boolean} whether the draft option, once placed, would lead somewhere else than back
+ */
+const leadsOn = (game, index) => !isDeadEnd(game, game.draft.options[index]);
+
+/**
+ * @param {Game} game
+ * @param {DraftSurvey} survey
+ * @param {number} index
+ * @return {boolean} whether an exit could still be reached with the draft option placed
+ */
+const keepsExitReachable = (game, survey, index) => survey.exitBypassed || DIRECTION_VALUES
+    .some(direction => leadsTowards(game, game.draft.options[index], direction)
+        && survey.exitSteps.has(coordToString(tileTowards(game.draft.position, direction))));
+
+/**
+ * Gives a draft option the shape with the most hallways its type allows, turned the first way that makes the check pass.
+ * @param {Game} game
+ * @param {number} index
+ * @param {(index: number) => boolean} check
+ * @return {boolean} whether the option passes the check now
+ */
+const widenDraftOptionAt = (game, index, check) => {
+    const room = game.draft.options[index];
+    const shapes = Effects[room.events.enter].shapes ?? /** @type {ShapeType[]} */ (Object.keys(ROOM_SHAPES));
+    const widest = shapes.reduce((wide, shape) => ROOM_SHAPES[shape].sides.length > ROOM_SHAPES[wide].sides.length ? shape : wide);
+    const {sides} = ROOM_SHAPES[widest];
+    const entry = opposite(game.draft.direction);
+    room.shape = widest;
+    return sides.some(aligned => {
+        layDraftOptionHallways(game, room, sides.map(side => rotate(entry, side - aligned)));
+        return check(index);
+    });
+};
+
+/**
+ * Widens the placeable draft options, see {@link widenDraftOptionAt}, until one passes the check.
+ * @param {Game} game
+ * @param {(index: number) => boolean} check
+ * @return {boolean} whether an option passes the check now
+ */
+const widenDraftOption = (game, check) => placeableDraftOptions(game).some(index => widenDraftOptionAt(game, index, check));
+
+/**
+ * Swaps a placeable draft option for a room of another type of the deck, widened so that it passes the check, for when
+ * the shapes of the drawn types fall short. The type is picked at random among the ones that pass, that the other
+ * options allow (see {@link DRAFT_CONSTRAINTS}) and whose lock the player could pay for.
+ * @param {Game} game
+ * @param {(index: number) => boolean} check
+ * @return {boolean} whether an option passes the check now
+ */
+const swapDraftOption = (game, check) => placeableDraftOptions(game).some(index => {
+    const room = game.draft.options[index];
+    const before = room.copy();
+    const drawn = /** @type {EffectType} */ (room.events.enter);
+    const others = game.draft.options.filter(other => other !== room).map(other => /** @type {EffectType} */ (other.events.enter));
+    const rules = DRAFT_CONSTRAINTS.filter(rule => rule.allows);
+    const candidates = game.draft.deck
+        .filter((type, position, deck) => deck.indexOf(type) === position && type !== drawn)
+        .filter(type => rules.every(rule => rule.allows(game, others, type)))
+        .filter(type => Effects[type].lockChance === 0 || canOpenLock(game, Effects[type].lock ?? {item: "keys", amount: 1}))
+        .filter(type => {
+            room.events = {enter: type, exit: type, use: type};
+            return widenDraftOptionAt(game, index, check);
+        });
+    Object.assign(room, before);
+    if (candidates.length === 0) {
+        return false;
+    }
+    const purpose = randomElement(candidates, game.rng.stream("draft"));
+    game.draft.deck.splice(game.draft.deck.indexOf(purpose), 1);
+    game.draft.deck.push(drawn);
+    furnishDraftOption(game, room, purpose);
+    widenDraftOptionAt(game, index, check);
+    rollDraftOptionLock(game, room);
+    return true;
+});
+
+/**
+ * The rules every draft follows, in the order they are checked.
+ * @type {DraftConstraint[]}
+ */
+const DRAFT_CONSTRAINTS = [
+    {
+        name: "No room type twice",
+        allows: (game, drawn, purpose) => !drawn.includes(purpose),
+    },
+    {
+        name: "At most one Tax Office on the board",
+        allows: (game, drawn, purpose) => purpose !== "taxes"
+            || (game.stats.roomsDrafted.taxes ?? 0) + drawn.filter(type => type === "taxes").length === 0,
+    },
+    {
+        name: "At least one option can be entered, with what the player has",
+        holds: (game) => placeableDraftOptions(game).length > 0,
+        // the lock of the option the least likely to be locked is rolled again, so that a guaranteed one stays
+        fix: (game) => {
+            const {options} = game.draft;
+            const chance = (/** @type {Room} */ room) => Effects[room.events.enter].lockChance;
+            rollDraftOptionLock(game, options.reduce((least, room) => chance(room) < chance(least) ? room : least));
+            return placeableDraftOptions(game).length > 0;
+        },
+    },
+    {
+        name: "At least one option leads on",
+        holds: (game) => placeableDraftOptions(game).some(index => leadsOn(game, index)),
+        fix: (game) => widenDraftOption(game, index => leadsOn(game, index)),
+    },
+    {
+        name: "At least one option keeps the exit within reach, while it is",
+        holds: (game, survey) => !survey.exitReachable
+            || placeableDraftOptions(game).some(index => keepsExitReachable(game, survey, index)),
+        // the way to the exit matters more than the types drawn, another one is swapped in when their shapes fall short
+        fix: (game, survey) => widenDraftOption(game, index => keepsExitReachable(game, survey, index))
+            || swapDraftOption(game, index => keepsExitReachable(game, survey, index)),
+    },
+];
+
+/**
+ * @param {Game} game
+ * @param {DraftConstraint} rule
+ * @param {DraftSurvey} survey - the survey of the board around the draft, done anew by default
+ * @return {boolean} whether the draft options follow the rule, each one being allowed next to the ones before it
+ */
+const draftRuleHolds = (game, rule, survey = surveyDraft(game)) => rule.holds
+    ? rule.holds(game, survey)
+    : game.draft.options.every((room, index) =>
+        rule.allows(game, game.draft.options.slice(0, index).map(other => /** @type {EffectType} */ (other.events.enter)), /** @type {EffectType} */ (room.events.enter)));
+
+/**
+ * How many times the rules are fixed over, as a fix may break the ones before it.
+ * @type {number}
+ */
+const DRAFT_FIX_ROUNDS = 3;
+
+/**
+ * Draws a random room from the deck of the run, shuffling a new deck in when it is empty. Rooms the draft constraints
+ * do not allow next to the ones drawn already are left in the deck, unless there is nothing else.
+ * @param {Game} game
+ * @param {EffectType[]} drawn - the room types drawn for the draft so far
+ * @param {Record<string, DraftRuleOutcome>} outcomes - what the constraints did, updated
+ * @param {boolean} rare - whether to draw among the rarest types left, the ones with the fewest copies
+ * @return {EffectType} a room purpose
+ */
+const drawRoomPurpose = (game, drawn = [], outcomes = {}, rare = false) => {
+    const deck = game.draft.deck;
+    if (deck.length === 0) {
+        const placedOnce = /** @type {EffectType[]} */ (Object.keys(game.stats.roomsDrafted)).filter(type => Effects[type]?.oncePerRun);
+        deck.push(...newRoomDeck(game.unlocks, placedOnce));
+    }
+    const rules = DRAFT_CONSTRAINTS.filter(rule => rule.allows);
+    const candidates = deck.map((_, index) => index)
+        .filter(index => rules.every(rule => rule.allows(game, drawn, deck[index])));
+    rules.filter(rule => deck.some(purpose => !rule.allows(game, drawn, purpose)))
+        .forEach(rule => outcomes[rule.name] = candidates.length > 0 ? "fired" : "failed");
+    const allowed = candidates.length > 0 ? candidates : deck.map((_, index) => index);
+    const fewest = Math.min(...allowed.map(index => Effects[deck[index]].copies));
+    const pool = rare ? allowed.filter(index => Effects[deck[index]].copies === fewest) : allowed;
+    const index = pool[Math.floor(randomFloat(game.rng.stream("draft")) * pool.length)];
+    return deck.splice(index, 1)[0];
+};
+
+/**
+ * Puts the draft options back into the deck, the picked one excepted.
+ * @param {Game} game
+ * @param {number} picked - index of the placed option, -1 if none has been placed
+ */
+const returnDraftOptions = (game, picked = -1) => {
+    game.draft.options
+        .filter((_, index) => index !== picked)
+        .forEach(room => game.draft.deck.push(/** @type {EffectType} */ (room.events.enter)));
+};
+
+/**
+ *  @param {Direction} direction
+ * @returns {Direction}
+ *  */
+const opposite = (direction) => {
+    if (direction === "NORTH") return "SOUTH";
+    if (direction === "NORTH_EAST") return "SOUTH_WEST";
+    if (direction === "SOUTH_EAST") return "NORTH_WEST";
+    if (direction === "SOUTH") return "NORTH";
+    if (direction === "SOUTH_WEST") return "NORTH_EAST";
+    if (direction === "NORTH_WEST") return "SOUTH_EAST";
+    throw new Error();
+}
+
+/**
+ * @param {Direction} direction
+ * @param {number} turns - number of 60° turns, clockwise (negative for counterclockwise)
+ * @return {Direction}
+ */
+const rotate = (direction, turns) => {
+    const count = DIRECTION_VALUES.length;
+    return DIRECTION_VALUES[((DIRECTION_VALUES.indexOf(direction) + turns) % count + count) % count];
+};
+
+/**
+ * Rolls a shape among the ones the room type allows, weighted by their rarity.
+ * @param {SeededRNG} generator
+ * @param {EffectType} purpose
+ * @return {ShapeType}
+ */
+const randomRoomShape = (generator, purpose) => {
+    const pool = Effects[purpose].shapes ?? /** @type {ShapeType[]} */ (Object.keys(ROOM_SHAPES));
+    const sum = pool.reduce((acc, shape) => acc + ROOM_SHAPES[shape].rarity, 0);
+    let roll = randomFloat(generator) * sum;
+
+    for (const shape of pool) {
+        roll -= ROOM_SHAPES[shape].rarity;
+        if (roll <= 0) return shape;
+    }
+    return pool[pool.length - 1];
+};
+
+/**
+ * Turns the shape so that a random one of its sides is the entry.
+ * @param {SeededRNG} generator
+ * @param {ShapeType} shape
+ * @param {Direction} entry - the side the player comes in from
+ * @return {Direction[]} the sides of the room with a hallway
+ */
+const orientRoomShape = (generator, shape, entry) => {
+    const {sides} = ROOM_SHAPES[shape];
+    const aligned = randomElement(sides, generator);
+    return sides.map(side => rotate(entry, side - aligned));
+};
+
+/**
+ *  @param {Game} game
+ *  @param {Coord} position
+ *  @param {Direction} direction
+ *  @param {Room} draftRoom
+ *  @param {boolean} wanted - whether the shape of the room has a hallway on this side
+ *  */
+const generateHallway = (game, position, direction, draftRoom, wanted) => {
+    const neighborPos = tileTowards(position, direction);
+    delete draftRoom.hallways[direction].lock;
+    if (game.validCoord(neighborPos)) {
+        if (wanted) {
+            const neighbor = game.atCoord(neighborPos);
+            if (game.isHiddenCoord(neighborPos)) {
+                draftRoom.hallways[direction].enabled = true;
+                draftRoom.hallways[direction].status = "unknown";
+            } else if (neighbor.hallways[opposite(direction)].enabled) {
+                draftRoom.hallways[direction].enabled = true;
+                draftRoom.hallways[direction].status = "open";
+            } else {
+                draftRoom.hallways[direction].enabled = true;
+                draftRoom.hallways[direction].status = "blocked";
+            }
+        } else {
+            draftRoom.hallways[direction].enabled = false;
+            draftRoom.hallways[direction].status = "blocked";
+        }
+    } else {
+        draftRoom.hallways[direction].enabled = false;
+        draftRoom.hallways[direction].status = "blocked";
+    }
+}
+
+/**
+ *  @param {Game} game
+ *  @param {number} index
+ *  @param {Direction} direction
+ *  @param {Record<string, DraftRuleOutcome>} outcomes - what the draft constraints did, updated
+ *  @param {boolean} rare - whether the room is of one of the rarest types left, see {@link drawRoomPurpose}
+ *  */
+const generateDraftRoom = (game, index, direction, outcomes = {}, rare = false) => {
+    const drawn = game.draft.options.slice(0, index).map(room => /** @type {EffectType} */ (room.events.enter));
+    const purpose = drawRoomPurpose(game, drawn, outcomes, rare);
+    const room = game.draft.options[index];
+    furnishDraftOption(game, room, purpose);
+
+    const hallwayStream = game.rng.stream("hallways");
+    room.shape = randomRoomShape(hallwayStream, purpose);
+    const sides = orientRoomShape(hallwayStream, room.shape, opposite(direction));
+    DIRECTION_VALUES.forEach((side) => {
+        generateHallway(game, game.draft.position, side, room, sides.includes(side));
+    });
+
+    rollDraftOptionLock(game, room);
+    room.coord.row = -1;
+    room.coord.col = index;
+}
+
+/**
+ * Makes a draft option a room of the given type, rolling what it holds: items, a puzzle fragment and shop offers.
+ * @param {Game} game
+ * @param {Room} room
+ * @param {EffectType} purpose
+ */
+const furnishDraftOption = (game, room, purpose) => {
+    room.events = {
+        enter: purpose,
+        exit: purpose,
+        use: purpose,
+    };
+    room.items = [];
+    Effects[purpose].items
+        .filter(rule => rule.chance === undefined || randomFloat(game.rng.stream("items")) < rule.chance)
+        .forEach(({item, amount}) => {
+            const same = room.items.find(floorItem => floorItem.item === item);
+            if (same) {
+                same.amount += amount;
+            } else {
+                room.items.push({item, amount});
+            }
+        });
+    room.fragment = generateFragment(game);
+    room.offers = generateShopOffers(game, purpose);
+};
+
+/**
+ * Opens the door a draft option is entered through, then locks it with the lock of its type, at its lock chance.
+ * @param {Game} game
+ * @param {Room} room
+ */
+const rollDraftOptionLock = (game, room) => {
+    const door = room.hallways[opposite(game.draft.direction)];
+    door.enabled = true;
+    door.status = "open";
+    delete door.lock;
+    const {lockChance, lock = {item: "keys", amount: 1}} = Effects[room.events.enter];
+    if (lockChance > 0 && randomFloat(game.rng.stream("draft")) < lockChance) {
+        door.status = "locked";
+        door.lock = {...lock};
+    }
+};
+
+/**
+ * Draws the offers of a drafted shop room among the {@link SHOP_STOCK}, in the order of the stock. Other rooms get none.
+ * @param {Game} game
+ * @param {EffectType} purpose
+ * @return {string[]} the ids of the wares
+ */
+const generateShopOffers = (game, purpose) => {
+    const stream = game.rng.stream("shop");
+    const wares = Object.keys(SHOP_STOCK);
+    /** @type {string[]} */
+    const picked = [];
+    while (picked.length < Math.min(Effects[purpose].shop ?? 0, wares.length)) {
+        picked.push(randomElement(wares.filter(ware => !picked.includes(ware)), stream));
+    }
+    return wares.filter(ware => picked.includes(ware));
+};
+
+/**
+ * Rolls the puzzle fragment of a drafted room. Fragments only come for the parts the player has not matched yet.
+ * @param {Game} game
+ * @return {PuzzleFragment | null}
+ */
+const generateFragment = (game) => {
+    const stream = game.rng.stream("puzzle");
+    const {solution, pieces} = game.puzzle;
+    const missing = /** @type {PuzzleAspect[]} */ (Object.keys(PUZZLE_VALUES)).filter(aspect => pieces[aspect] !== solution[aspect]);
+    if (missing.length === 0 || randomFloat(stream) >= PUZZLE_CHANCES.fragment) {
+        return null;
+    }
+    const aspect = randomElement(missing, stream);
+    const value = randomFloat(stream) < PUZZLE_CHANCES.match ? solution[aspect] : randomElement(PUZZLE_VALUES[aspect], stream);
+    return {aspect, value};
+};
+
+/**
+ * Draws new draft options from the deck, following the {@link DRAFT_CONSTRAINTS}. The current options must have been
+ * returned or placed before. A ⭐ token of the player is spent on making the last option a rare room.
+ * @param {Game} game
+ */
+const refreshDrafts = (game) => {
+    const direction = game.draft.direction;
+    game.draft.index = 0;
+    const rare = game.getResource("tokens") > 0;
+    if (rare) {
+        game.removeResource("tokens");
+        game.lastEffect = `Your ${ItemTexts.tokens} brings a rare room into the draft.`;
+    }
+    /** @type {Record<string, DraftRuleOutcome>} */
+    const outcomes = Object.fromEntries(DRAFT_CONSTRAINTS.map(({name}) => [name, "held"]));
+    for (let i = 0; i < game.draft.options.length; i++) {
+        generateDraftRoom(game, i, direction, outcomes, rare && i === game.draft.options.length - 1);
+    }
+    // the fixes only change the options, the board stays the same
+    const survey = surveyDraft(game);
+    // one by one, as a fix may make the next rules hold, and over again as it may also break the previous ones
+    for (let round = 0; round < DRAFT_FIX_ROUNDS && DRAFT_CONSTRAINTS.some(rule => rule.fix && !rule.holds(game, survey)); round++) {
+        DRAFT_CONSTRAINTS.forEach(rule => {
+            if (rule.fix && !rule.holds(game, survey)) {
+                outcomes[rule.name] = rule.fix(game, survey) ? "fired" : "failed";
+            }
+        });
+    }
+    // whatever the fixes did, the report tells which rules the options end up breaking
+    DRAFT_CONSTRAINTS.filter(rule => !draftRuleHolds(game, rule, survey)).forEach(rule => outcomes[rule.name] = "failed");
+    game.draftReport = DRAFT_CONSTRAINTS.map(({name}) => ({name, outcome: outcomes[name]}));
+    game.emit("refresh");
+}
+
+/**
+ * Rerolls the draft options for a 🎲 reroll, or the price of 2 gems without one, if the player can afford it.
+ * @param {Game} game
+ */
+const buyDraftRefresh = (game) => {
+    /** @type {FloorItem} */
+    const price = game.getResource("rerolls") > 0 ? {item: "rerolls", amount: 1} : {item: "gems", amount: 2};
+    if (game.getResource(price.item) >= price.amount) {
+        game.removeResource(price.item, price.amount);
+        game.stats.refreshes += 1;
+        returnDraftOptions(game);
+        refreshDrafts(game);
+    }
+}
+
+/**
+ * The sides of the shape of a draft option as it is turned now, with the ones leading off the board, which have no hallway.
+ * @param {Game} game
+ * @param {Room} room
+ * @return {Direction[]}
+ */
+const draftOptionSides = (game, room) => {
+    const visible = DIRECTION_VALUES.filter(direction => room.hallways[direction].enabled);
+    if (!room.shape) {
+        return visible;
+    }
+    const offBoard = (/** @type {Direction} */ direction) => !game.validCoord(tileTowards(game.draft.position, direction));
+    for (let turns = 0; turns < DIRECTION_VALUES.length; turns++) {
+        const sides = ROOM_SHAPES[room.shape].sides.map(side => rotate("NORTH", side + turns));
+        if (visible.every(direction => sides.includes(direction))
+            && sides.every(direction => visible.includes(direction) || offBoard(direction))) {
+            return sides;
+        }
+    }
+    return visible;
+};
+
+/**
+ * Lays the hallways of a draft option out again on the given sides (the entry one among them), keeping the lock of
+ * its door.
+ * @param {Game} game
+ * @param {Room} room
+ * @param {Direction[]} sides
+ */
+const layDraftOptionHallways = (game, room, sides) => {
+    const entry = opposite(game.draft.direction);
+    const door = {...room.hallways[entry]};
+    DIRECTION_VALUES.forEach(direction => {
+        generateHallway(game, game.draft.position, direction, room, sides.includes(direction));
+    });
+    if (door.status === "locked") {
+        room.hallways[entry] = door;
+    }
+};
+
+/**
+ * Turns the selected draft option by 60° steps, clockwise (counterclockwise if negative). Turns that would close the
+ * hallway the player comes through are skipped, going on in the same direction.
+ * @param {Game} game
+ * @param {number} turns
+ */
+const rotateDraftOption = (game, turns) => {
+    const room = game.draft.options[game.draft.index];
+    const entry = opposite(game.draft.direction);
+    const sides = draftOptionSides(game, room);
+    const step = Math.sign(turns);
+    let total = turns;
+    while (step !== 0 && Math.abs(total) < DIRECTION_VALUES.length && !sides.some(side => rotate(side, total) === entry)) {
+        total += step;
+    }
+    if (step === 0 || Math.abs(total) >= DIRECTION_VALUES.length) {
+        return;
+    }
+    layDraftOptionHallways(game, room, sides.map(side => rotate(side, total)));
+    game.emit("rotate", room);
+};
+
+/**
+ * Moves the draft selection to the given option, clamped to the available ones.
+ * @param {Game} game
+ * @param {number} index
+ */
+const selectDraftOption = (game, index) => {
+    game.draft.index = clamp(index, 0, game.draft.options.length - 1);
+}
+
+/**
+ *  @param {Game} game
+ *  @param {Direction} direction
+ */
+const updatePlayerPosition = (game, direction) => {
+    if (!game.isRunning) return;
+
+    const newPosition = tileTowards(game.player, direction);
+    if (!game.validCoord(newPosition)) return;
+    const hallways = game.playerRoom.hallways;
+    if (hallways[direction].enabled && hallways[direction].status !== "blocked") {
+        if (game.isHiddenCoord(newPosition)) {
+            game.draft.position = newPosition;
+            game.draft.direction = direction;
+            game.setState("draft");
+            refreshDrafts(game);
+        } else if (game.atCoord(newPosition).hallways[opposite(direction)].enabled) {
+            if (game.isExitCoord(newPosition) && !game.isPuzzleSolved) {
+                game.lastEffect = "The exit is sealed, your symbols do not match its puzzle.";
+            } else {
+                walk(game, direction);
+            }
+        }
+    }
+}
+
+/**
+ * Moves the player to a revealed neighbor room, in this order: they leave their room (whose effect may stop or turn
+ * the move), go through the hallway (which costs a step), and enter the next room.
+ * @param {Game} game
+ * @param {Direction} direction
+ */
+const walk = (game, direction) => {
+    const from = game.playerRoom;
+    const lock = doorLock(game, game.player, direction);
+    if (lock && !canOpenLock(game, lock)) {
+        game.lastEffect = `The door is locked, it takes ${amountText(lock.item, lock.amount)} to open.`;
+        return;
+    }
+    /** @type {Move} */
+    const move = {direction, cancelled: false, locksBehind: false};
+    from.exit(game, move);
+    const leaveText = game.lastEffect;
+    if (!move.cancelled && move.direction !== direction && !canWalk(game, game.player, move.direction)) {
+        // turned towards a wall or a hidden tile
+        move.cancelled = true;
+        game.lastEffect = describeEvents([leaveText.replace(/\.$/, ""), "but the way is blocked"].filter(text => text !== ""));
+    } else if (!move.cancelled && move.direction !== direction) {
+        const turnedLock = doorLock(game, game.player, move.direction);
+        if (turnedLock && !canOpenLock(game, turnedLock)) {
+            move.cancelled = true;
+            game.lastEffect = describeEvents([leaveText.replace(/\.$/, ""), "but the door there is locked"].filter(text => text !== ""));
+        }
+    }
+    if (move.cancelled) {
+        return;
+    }
+    goThrough(game, move.direction, leaveText, move.locksBehind);
+};
+
+/**
+ * Takes the player through the hallway in the given direction, their room already left: the door is opened (paying
+ * its lock), a step is spent and the next room entered.
+ * @param {Game} game
+ * @param {Direction} direction
+ * @param {string} leaveText - what leaving the room did, told first
+ * @param {boolean} locksBehind - whether the hallway is blocked for good behind the player
+ */
+const goThrough = (game, direction, leaveText = "", locksBehind = false) => {
+    const from = game.playerRoom;
+    const doorText = openDoor(game, game.player, direction);
+    const newPosition = tileTowards(game.player, direction);
+    const to = game.atCoord(newPosition);
+    if (locksBehind) {
+        from.hallways[direction].status = "blocked";
+        to.hallways[opposite(direction)].status = "blocked";
+    }
+    game.movePlayerToCoord(newPosition);
+    game.removeResource("steps");
+    game.stats.stepsTaken += 1;
+
+    to.enter(game);
+    game.lastEffect = [leaveText, doorText, game.lastEffect].filter(text => text !== "").join(" ");
+    game.emit("move", newPosition);
+    if (game.getState() === "won") {
+        game.emit("victory");
+    }
+};
+
+/**
+ * Uses the room the player stands in.
+ * @param {Game} game
+ */
+const useRoom = (game) => {
+    if (!game.isRunning) return;
+    game.playerRoom.use(game);
+    game.emit("use", {...game.player});
+    if (game.getState() === "won") {
+        game.emit("victory");
+    }
+};
+
+/**
+ * A ware as the shop screen shows it.
+ * @typedef {Object} ShopOfferView
+ * @property {string} name - Name of the ware.
+ * @property {string} description - What the player gets, e.g. "1 🔑".
+ * @property {number} price - Price in gems.
+ * @property {boolean} affordable - Whether the player can buy it now.
+ */
+
+/**
+ * What the shop room the player stands in offers.
+ * @param {Game} game
+ * @return {ShopOfferView[]} empty if the room sells nothing
+ */
+const describeShopOffers = (game) => game.playerRoom.offers.map(ware => {
+    const {name, items, price} = SHOP_STOCK[ware];
+    return {name, description: describeItems(items), price, affordable: game.playerRoom.canBuy() && game.getResource("gems") >= price};
+});
+
+/**
+ * @param {Game} game
+ * @return {number} how many more wares the shop room the player stands in sells, -1 for no limit
+ */
+const shopPurchasesLeft = (game) => {
+    const room = game.playerRoom;
+    const {triggerLimit} = Effects[room.events.enter];
+    return room.offers.length === 0 ? 0 : triggerLimit === -1 ? -1 : Math.max(0, triggerLimit - room.triggerCount);
+};
+
+/**
+ * Buys an offer of the shop room the player stands in, if it is not sold out and the player can afford it.
+ * @param {Game} game
+ * @param {number} index
+ */
+const buyShopOffer = (game, index) => {
+    const room = game.playerRoom;
+    const ware = room.offers[index];
+    if (!ware) return;
+    const {name, items, price} = SHOP_STOCK[ware];
+    if (!room.canBuy()) {
+        game.lastEffect = "The shop is sold out.";
+        return;
+    }
+    if (game.getResource("gems") < price) {
+        game.lastEffect = `The ${name} costs ${amountText("gems", price)}, you cannot afford it.`;
+        return;
+    }
+    game.removeResource("gems", price);
+    items.forEach(({item, amount}) => game.addResource(item, amount));
+    room.triggerCount += 1;
+    game.lastEffect = `You bought ${describeItems(items)} for ${amountText("gems", price)}.`;
+    game.emit("buy", ware);
+};
+
+/**
+ * Whether the player could pay what the effect asks for right now, following its steps up to the first chance roll.
+ * @param {Game} game
+ * @param {EffectStep[]} steps
+ * @return {boolean}
+ */
+const canAffordEffect = (game, steps) => {
+    /** @type {Partial<Record<Item, number>>} */
+    const resources = {};
+    const count = (item) => resources[item] ?? game.getResource(item);
+    for (const step of steps) {
+        switch (step.do) {
+            case "gain":
+                resources[step.item] = count(step.item) + step.amount;
+                break;
+            case "lose":
+                resources[step.item] = Math.max(0, count(step.item) - step.amount);
+                break;
+            case "set":
+                resources[step.item] = step.amount;
+                break;
+            case "cost":
+                if (count(step.item) < step.amount) {
+                    return false;
+                }
+                resources[step.item] = count(step.item) - step.amount;
+                break;
+            case "require":
+                if ((step.atLeast !== undefined && count(step.item) < step.atLeast)
+                    || (step.below !== undefined && count(step.item) >= step.below)) {
+                    return false;
+                }
+                break;
+            case "chance":
+            case "win":
+                return true;
+        }
+    }
+    return true;
+};
+
+/**
+ * What using the room the player stands in would do, for prompting the player.
+ * @param {Game} game
+ * @return {{name: string, description: string, affordable: boolean} | null} null if there is nothing to use
+ */
+const describeRoomUse = (game) => {
+    const room = game.playerRoom;
+    if (game.getState() !== "move" || !room.canUse()) {
+        return null;
+    }
+    const effect = Effects[room.events.use];
+    const items = Effects[room.events.enter].pickup === "use" && room.items.length > 0
+        ? `Pick up ${describeItems(room.items)}.`
+        : "";
+    const steps = effect.useLimit === -1 || room.useCount < effect.useLimit ? effect.use : [];
+    const fragment = room.fragment ? `Take ${describeFragment(room.fragment)}.` : "";
+    const offers = room.canBuy() ? `Browse its ${room.offers.length} offers.` : "";
+    return {
+        name: effect.name,
+        description: [items, fragment, offers, describeEffect(steps)].filter(text => text !== "").join(" "),
+        affordable: canAffordEffect(game, steps),
+    };
+};
+
+/**
+ * @param {Game} game
+ * @param {{item: Item, amount: number}} lock
+ * @return {boolean} true if the player has what opens the lock. Tools stand in for keys once the keys ran out.
+ */
+const canOpenLock = (game, {item, amount}) => item === "keys"
+    ? game.getResource("keys") + game.getResource("tools") >= amount
+    : game.getResource(item) >= amount;
+
+/**
+ * @param {Game} game
+ * @param {Coord} from - a revealed room
+ * @param {Direction} direction - towards a revealed neighbor
+ * @return {{item: Item, amount: number} | null} what opens the door between the rooms, null if it is not locked
+ */
+const doorLock = (game, from, direction) => {
+    const sides = [game.atCoord(from).hallways[direction], game.atCoord(tileTowards(from, direction)).hallways[opposite(direction)]];
+    return sides.find(hallway => hallway.status === "locked")?.lock ?? null;
+};
+
+/**
+ * Pays the lock of the door between the rooms, if it has one, and opens it both ways.
+ * @param {Game} game
+ * @param {Coord} from
+ * @param {Direction} direction
+ * @return {string} the message for the player, empty if the door was not locked
+ */
+const openDoor = (game, from, direction) => {
+    const lock = doorLock(game, from, direction);
+    if (!lock) {
+        return "";
+    }
+    /** @type {FloorItem[]} */
+    const paid = [];
+    if (lock.item === "keys") {
+        const keys = Math.min(lock.amount, game.getResource("keys"));
+        [{item: "keys", amount: keys}, {item: "tools", amount: lock.amount - keys}]
+            .filter(({amount}) => amount > 0)
+            .forEach(({item, amount}) => paid.push({item: /** @type {Item} */ (item), amount}));
+    } else {
+        paid.push({...lock});
+    }
+    paid.forEach(({item, amount}) => game.removeResource(item, amount));
+    [game.atCoord(from).hallways[direction], game.atCoord(tileTowards(from, direction)).hallways[opposite(direction)]]
+        .filter(hallway => hallway.status === "locked")
+        .forEach(hallway => {
+            hallway.status = "open";
+            delete hallway.lock;
+        });
+    return `You open the door with ${describeItems(paid)}.`;
+};
+
+/**
+ * A hallway of a revealed room whose status changes, see {@link connectNeighbors}.
+ * @typedef {Object} HallwayChange
+ * @property {Coord} coord - The room the hallway belongs to.
+ * @property {Direction} direction - The side of the room it leads out of.
+ * @property {"open" | "blocked"} status - Its new status.
+ */
+
+/**
+ * Opens the hallways of the revealed neighbors a room just placed connects to, and blocks the ones it turns away.
+ * @param {Game} game
+ * @param {Room} room - the room, placed at the draft position
+ * @return {HallwayChange[]} the neighbor hallways whose status changed
+ */
+const connectNeighbors = (game, room) => {
+    /** @type {HallwayChange[]} */
+    const changes = [];
+    DIRECTION_VALUES.forEach(direction => {
+        const neighborPos = tileTowards(game.draft.position, direction);
+        if (game.validCoord(neighborPos) && game.isRevealedCoord(neighborPos)) {
+            const hallway = game.atCoord(neighborPos).hallways[opposite(direction)];
+            if (!hallway.enabled) {
+                return;
+            }
+            const status = room.hallways[direction].enabled ? "open" : "blocked";
+            if (hallway.status !== status) {
+                hallway.status = status;
+                changes.push({coord: neighborPos, direction: opposite(direction), status});
+            }
+        }
+    });
+    return changes;
+};
+
+/**
+ * What placing the selected draft option would change.
+ * @typedef {Object} PlacementPreview
+ * @property {HallwayChange[]} hallways - Hallways of the neighbors that would open or be blocked.
+ * @property {Coord[]} reachable - Hidden tiles rooms could then be drafted into, that they could not before.
+ * @property {boolean} exitReachable - Whether an exit could still be reached afterwards.
+ * @property {boolean} deadEnd - Whether the room would lead nowhere but back where the player comes from.
+ */
+
+/**
+ * Runs the given function with a draft option placed at the draft position for a moment, its neighbors connected.
+ * The game is left as it was afterwards.
+ * @template T
+ * @param {Game} game - a game in the draft state
+ * @param {number} index - the draft option to place
+ * @param {(room: Room, changes: HallwayChange[]) => T} fn
+ * @return {T} what the function returned
+ */
+const withDraftOptionPlaced = (game, index, fn) => {
+    const position = game.draft.position;
+    const hidden = game.atCoord(position);
+    const neighbors = DIRECTION_VALUES
+        .map(direction => tileTowards(position, direction))
+        .filter(coord => game.validCoord(coord) && game.isRevealedCoord(coord))
+        .map(coord => game.atCoord(coord));
+    const hallways = neighbors.map(neighbor => JSON.stringify(neighbor.hallways));
+    const room = game.draft.options[index].copy();
+    room.coord = {...position};
+    game.placeRoom(room);
+    try {
+        return fn(room, connectNeighbors(game, room));
+    } finally {
+        game.placeRoom(hidden);
+        neighbors.forEach((neighbor, i) => neighbor.hallways = JSON.parse(hallways[i]));
+    }
+};
+
+/**
+ * Tells the player what placing the selected draft option would change.
+ * @param {Game} game - a game in the draft state
+ * @return {PlacementPreview}
+ */
+const previewPlacement = (game) => {
+    const before = analyzeReachability(game);
+    return withDraftOptionPlaced(game, game.draft.index, (room, hallways) => {
+        const after = analyzeReachability(game);
+        const frontierTiles = (/** @type {Reachability} */ reachability) => reachability.frontier
+            .map(({from, direction}) => tileTowards(from, direction));
+        const known = new Set(frontierTiles(before).map(coordToString));
+        const reachable = frontierTiles(after)
+            .filter(coord => !known.has(coordToString(coord)))
+            .filter((coord, index, coords) => coords.findIndex(other => areEqualCoords(other, coord)) === index);
+        return {hallways, reachable, exitReachable: after.exitReachable, deadEnd: isDeadEnd(game, room)};
+    });
+};
+
+/**
+ * @param {Game} game - a game in the draft state
+ * @param {Room} room - a draft option
+ * @return {boolean} whether the room leads nowhere but back where the player comes from
+ */
+const isDeadEnd = (game, room) => {
+    const entry = opposite(game.draft.direction);
+    return DIRECTION_VALUES
+        .filter(direction => direction !== entry)
+        .every(direction => !leadsTowards(game, room, direction));
+};
+
+/**
+ * Share of the lock chance of a room type its other doors are locked with, see {@link lockSideDoors}.
+ * @type {number}
+ */
+const SIDE_DOOR_LOCK_SHARE = 0.5;
+
+/**
+ * Rolls locks for the doors a room just placed has towards its revealed neighbors, besides the one the player comes
+ * through: the lock of its type, with a share of its lock chance. Doors into an exit are left unlocked.
+ * @param {Game} game
+ * @param {Room} room - the room, placed at the draft position
+ */
+const lockSideDoors = (game, room) => {
+    const entry = opposite(game.draft.direction);
+    const {lockChance, lock = {item: "keys", amount: 1}} = Effects[room.events.enter];
+    DIRECTION_VALUES
+        .filter(direction => direction !== entry && room.hallways[direction].status === "open")
+        .filter(direction => {
+            const neighbor = tileTowards(room.coord, direction);
+            return !game.isExitCoord(neighbor) && game.atCoord(neighbor).hallways[opposite(direction)].status !== "blocked";
+        })
+        .forEach(direction => {
+            if (lockChance > 0 && randomFloat(game.rng.stream("draft")) < lockChance * SIDE_DOOR_LOCK_SHARE) {
+                room.hallways[direction].status = "locked";
+                room.hallways[direction].lock = {...lock};
+            }
+        });
+};
+
+/** @param {Game} game */
+const placeRoom = (game) => {
+    const door = game.draft.options[game.draft.index].hallways[opposite(game.draft.direction)];
+    if (door.status === "locked" && !canOpenLock(game, door.lock)) {
+        // the room would be spent without the player getting in
+        game.lastEffect = `The door is locked, it takes ${amountText(door.lock.item, door.lock.amount)} to open.`;
+        return;
+    }
+    const newRoom = game.draft.options[game.draft.index].copy();
+    newRoom.coord.row = game.draft.position.row;
+    newRoom.coord.col = game.draft.position.col;
+    game.placeRoom(newRoom);
+    const type = /** @type {EffectType} */ (newRoom.events.enter);
+    game.stats.roomsDrafted[type] = (game.stats.roomsDrafted[type] ?? 0) + 1;
+    returnDraftOptions(game, game.draft.index);
+    if (Effects[type].oncePerRun) {
+        game.draft.deck = game.draft.deck.filter(purpose => purpose !== type);
+    }
+    game.draft.index = 0;
+    // connected before the player walks in, so that the room is whole when it is entered
+    connectNeighbors(game, newRoom);
+    lockSideDoors(game, newRoom);
+    // the player goes straight in: the leave effect of their room is not run, it could keep them out of the room they
+    // have just paid for. Entering it as on any move, a shop opens.
+    game.setState("move");
+    goThrough(game, game.draft.direction);
+    game.emit("place", newRoom);
+};
+
+/**
+ * Whether the player could walk from the given revealed room to its neighbor in the given direction.
+ * @param {Game} game
+ * @param {Coord} from
+ * @param {Direction} direction
+ * @param {boolean} closedLocks - whether a door the player cannot pay the lock of right now counts as closed
+ * @return {boolean}
+ */
+const canWalk = (game, from, direction, closedLocks = false) => {
+    const to = tileTowards(from, direction);
+    if (!game.validCoord(to) || game.isHiddenCoord(to)) {
+        return false;
+    }
+    const hallway = game.atCoord(from).hallways[direction];
+    if (!hallway.enabled || hallway.status === "blocked" || !game.atCoord(to).hallways[opposite(direction)].enabled) {
+        return false;
+    }
+    const lock = closedLocks ? doorLock(game, from, direction) : null;
+    return !lock || canOpenLock(game, lock);
+};
+
+/**
+ * What the player can still reach from where they stand.
+ * @typedef {Object} Reachability
+ * @property {Coord[]} rooms - Revealed rooms the player can walk to, their own included.
+ * @property {{from: Coord, direction: Direction}[]} frontier - Hallways from those rooms into hidden tiles, where rooms can be drafted.
+ * @property {boolean} exitReachable - Whether an exit could still be reached, if the right rooms get drafted into hidden tiles.
+ * @property {number} exitSteps - The fewest steps the nearest exit could be reached in, -1 if none can be reached.
+ */
+
+/**
+ * Finds what the player can still reach, walking through revealed rooms and drafting into hidden tiles.
+ * @param {Game} game
+ * @param {boolean} closedLocks - whether doors the player cannot pay the lock of right now count as closed, by default
+ * they are expected to be opened later on
+ * @return {Reachability}
+ */
+const analyzeReachability = (game, closedLocks = false) => {
+    /** @type {Coord[]} */
+    const rooms = [];
+    /** @type {{from: Coord, direction: Direction}[]} */
+    const frontier = [];
+    const seen = new Set([coordToString(game.player)]);
+    const queue = [game.player];
+    while (queue.length > 0) {
+        const coord = queue.shift();
+        rooms.push(coord);
+        DIRECTION_VALUES.forEach(direction => {
+            const next = tileTowards(coord, direction);
+            if (!game.validCoord(next)) {
+                return;
+            }
+            const hallway = game.atCoord(coord).hallways[direction];
+            if (game.isHiddenCoord(next)) {
+                if (hallway.enabled && hallway.status === "unknown") {
+                    frontier.push({from: coord, direction});
+                }
+            } else if (canWalk(game, coord, direction, closedLocks) && !seen.has(coordToString(next))) {
+                seen.add(coordToString(next));
+                queue.push(next);
+            }
+        });
+    }
+
+    // the fewest steps to every tile, every room entered costing one
+    const steps = new Map([[coordToString(game.player), 0]]);
+    const pending = [game.player];
+    while (pending.length > 0) {
+        const coord = pending.shift();
+        const distance = steps.get(coordToString(coord));
+        DIRECTION_VALUES.forEach(direction => {
+            const next = tileTowards(coord, direction);
+            if (game.validCoord(next) && !steps.has(coordToString(next)) && mayPass(game, coord, direction, closedLocks)) {
+                steps.set(coordToString(next), distance + 1);
+                pending.push(next);
+            }
+        });
+    }
+    const exitSteps = Math.min(...game.exits.map(exit => steps.get(coordToString(exit)) ?? Infinity));
+
+    return {rooms, frontier, exitReachable: exitSteps !== Infinity, exitSteps: exitSteps === Infinity ? -1 : exitSteps};
+};
+
+/**
+ * Whether the player could ever go from a tile to its neighbor in the given direction. Hidden tiles may get any room,
+ * so they connect to every neighbor that does not turn them away.
+ * @param {Game} game
+ * @param {Coord} from
+ * @param {Direction} direction
+ * @param {boolean} closedLocks - see {@link canWalk}
+ * @return {boolean}
+ */
+const mayPass = (game, from, direction, closedLocks = false) => {
+    const to = tileTowards(from, direction);
+    if (game.isRevealedCoord(from)) {
+        const hallway = game.atCoord(from).hallways[direction];
+        return game.isHiddenCoord(to) ? hallway.enabled && hallway.status === "unknown" : canWalk(game, from, direction, closedLocks);
+    }
+    if (game.isRevealedCoord(to)) {
+        const hallway = game.atCoord(to).hallways[opposite(direction)];
+        const closed = closedLocks && hallway.status === "locked" && !canOpenLock(game, hallway.lock);
+        return hallway.enabled && hallway.status !== "blocked" && !closed;
+    }
+    return true;
+};
+
+/**
+ * Finds the shortest walk from the player to the given revealed room, through revealed rooms only.
+ * @param {Game} game
+ * @param {Coord} target
+ * @return {Direction[] | null} the directions to walk in, one per step, or null if the room cannot be walked to
+ */
+const findPath = (game, target) => {
+    if (!game.validCoord(target) || game.isHiddenCoord(target)) {
+        return null;
+    }
+    /** @type {Map<string, {from: Coord, direction: Direction} | null>} */
+    const cameFrom = new Map([[coordToString(game.player), null]]);
+    const queue = [game.player];
+    while (queue.length > 0 && !cameFrom.has(coordToString(target))) {
+        const coord = queue.shift();
+        DIRECTION_VALUES.forEach(direction => {
+            const next = tileTowards(coord, direction);
+            if (canWalk(game, coord, direction) && !cameFrom.has(coordToString(next))) {
+                cameFrom.set(coordToString(next), {from: coord, direction});
+                queue.push(next);
+            }
+        });
+    }
+    if (!cameFrom.has(coordToString(target))) {
+        return null;
+    }
+    /** @type {Direction[]} */
+    const path = [];
+    for (let step = cameFrom.get(coordToString(target)); step !== null; step = cameFrom.get(coordToString(step.from))) {
+        path.unshift(step.direction);
+    }
+    return path;
+};
+
+/**
+ * @param {Game} game
+ * @param {Coord[]} rooms - revealed rooms the player can walk to
+ * @return {boolean} whether the puzzle of the exits is solved, or could be with the fragments lying in the rooms
+ */
+const canSolvePuzzle = (game, rooms) => {
+    const {pieces, solution} = game.puzzle;
+    return /** @type {PuzzleAspect[]} */ (Object.keys(PUZZLE_VALUES)).every(aspect => pieces[aspect] === solution[aspect]
+        || rooms.some(coord => {
+            const {fragment} = game.atCoord(coord);
+            return fragment?.aspect === aspect && fragment.value === solution[aspect];
+        }));
+};
+
+/**
+ * Ends the run as lost if the player cannot win it anymore.
+ * @param {Game} game
+ */
+const checkDefeat = (game) => {
+    if (!game.isRunning || game.getState() !== "move") {
+        return;
+    }
+    if (game.getResource("steps") <= 0) {
+        game.lose("steps");
+        return;
+    }
+    const reachability = analyzeReachability(game);
+    if (reachability.rooms.some(coord => game.isExitCoord(coord))) {
+        // no room can be drafted anymore to bring the missing fragments
+        if (reachability.frontier.length === 0 && !canSolvePuzzle(game, reachability.rooms)) {
+            game.lose("sealed");
+            return;
+        }
+    } else if (reachability.frontier.length === 0) {
+        game.lose("frontier");
+        return;
+    } else if (!reachability.exitReachable) {
+        game.lose("exit");
+        return;
+    }
+    // the way on is there, but maybe only through doors the player cannot pay for, with nothing in reach to pay with
+    const open = analyzeReachability(game, true);
+    if (open.frontier.length === 0 && !open.rooms.some(coord => game.isExitCoord(coord) || game.atCoord(coord).canUse())) {
+        game.lose("locked");
+    }
+};
+
+/**
+ * Version of the save format. Bump it whenever {@link GameSnapshot} (or {@link Room}) changes,
+ * and register a migration for the previous version in {@link SAVE_MIGRATIONS}.
+ * @type {number}
+ */
+const SAVE_VERSION = 15;
+
+/**
+ * A saved game, as stored.
+ * @typedef {Object} SaveData
+ * @property {number} version - Version of the save format.
+ * @property {number} savedAt - Timestamp of the save.
+ * @property {GameSnapshot} game - The saved game itself.
+ */
+
+/**
+ * Migration hooks, keyed by the save version they upgrade from. Each one receives a save of that version
+ * and returns it in the shape of the next version.
+ * @type {Record<number, (save: SaveData) => SaveData>}
+ */
+const SAVE_MIGRATIONS = {
+    // the random generator got named streams, version 1 only stored its seed
+    1: (save) => ({
+        ...save,
+        game: {
+            ...save.game,
+            rng: {
+                // @ts-ignore
+                initialSeed: save.game.rng,
+                // @ts-ignore
+                seed: save.game.rng,
+                streams: {},
+            },
+        },
+    }),
+    // the action log arrived, replays of older saves only know what happened after loading them
+    2: (save) => ({...save, game: {...save.game, actions: []}}),
+    // undo arrived, older runs had no budget to keep track of
+    3: (save) => ({...save, game: {...save.game, undosLeft: -1}}),
+    // runs can be lost now and keep stats for their summary, older runs start counting from here
+    4: (save) => ({
+        ...save,
+        // @ts-ignore
+        game: {...save.game, defeatReason: null, stats: {stepsTaken: 0, roomsDrafted: {}, refreshes: 0}},
+    }),
+    // runs can be won now (before, reaching the exit only paused them), and keep track of items and time
+    5: (save) => ({
+        ...save,
+        game: {
+            ...save.game,
+            // @ts-ignore
+            state: !save.game.running && areEqualCoords(save.game.player, save.game.exit) ? "won" : save.game.state,
+            stats: {...save.game.stats, collected: {}, spent: {}},
+            playTime: 0,
+        },
+    }),
+    // boards became configurable, with possibly several exits
+    6: (save) => {
+        // @ts-ignore
+        const {exit, ...game} = save.game;
+        return {...save, game: {...game, exits: [exit], board: JSON.parse(JSON.stringify(BOARD_PRESETS.classic))}};
+    },
+    // rooms can be used, with their own effects: drafted rooms use their own type, nobody used anything before
+    7: (save) => {
+        /** @param {Room} room */
+        const usable = (room) => /** @type {Room} */ ({
+            ...room,
+            events: {...room.events, use: room.events.enter},
+            useCount: 0,
+        });
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(usable)),
+                draft: {...save.game.draft, options: save.game.draft.options.map(usable)},
+            },
+        };
+    },
+    // items lie in rooms for real, the old ones were only a hint of the effect of the room
+    8: (save) => {
+        /** @param {Room} room */
+        const empty = (room) => /** @type {Room} */ ({...room, items: []});
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(empty)),
+                draft: {...save.game.draft, options: save.game.draft.options.map(empty)},
+            },
+        };
+    },
+    // the symbol puzzle arrived, older runs get it solved so that their exits stay open
+    9: (save) => {
+        /** @type {PuzzlePiece} */
+        const solution = {innerSymbol: "spiral", outerSymbol: "target", fillColor: "red", lineType: "straight"};
+        /** @param {Room} room */
+        const withoutFragment = (room) => /** @type {Room} */ ({...room, fragment: null});
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(withoutFragment)),
+                draft: {...save.game.draft, options: save.game.draft.options.map(withoutFragment)},
+                puzzle: {solution, pieces: {...solution}},
+            },
+        };
+    },
+    // unlocks arrived, older runs were played without any
+    10: (save) => ({...save, game: {...save.game, unlocks: []}}),
+    // rooms are drawn from a finite deck: what is left of a full one after the placed rooms and the shown options
+    11: (save) => {
+        const {stats, draft, state, unlocks} = save.game;
+        const drawn = Object.entries(stats.roomsDrafted)
+            .flatMap(([type, count]) => Array(count).fill(type))
+            .concat(state === "draft" ? draft.options.map(room => room.events.enter) : []);
+        const deck = newRoomDeck(unlocks, Object.keys(stats.roomsDrafted).filter(type => Effects[type]?.oncePerRun));
+        drawn.forEach(type => deck.includes(type) && deck.splice(deck.indexOf(type), 1));
+        return {...save, game: {...save.game, draft: {...draft, deck}}};
+    },
+    // rooms came to have named shapes, older ones were rolled side by side
+    12: (save) => {
+        /** @param {Room} room */
+        const unshaped = (room) => /** @type {Room} */ ({...room, shape: null});
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(unshaped)),
+                draft: {...save.game.draft, options: save.game.draft.options.map(unshaped)},
+            },
+        };
+    },
+    // locks moved from whole rooms to their doors, a locked option keeps a key lock on its entry
+    13: (save) => {
+        const {draft} = save.game;
+        /** @param {Room & {needsKey?: boolean}} room */
+        const unlocked = ({needsKey, ...room}) => /** @type {Room} */ (room);
+        /** @param {Room & {needsKey?: boolean}} room */
+        const withLockedEntry = (room) => {
+            if (!room.needsKey) {
+                return unlocked(room);
+            }
+            const entry = opposite(draft.direction);
+            const door = {...room.hallways[entry], status: /** @type {const} */ ("locked"), lock: {item: /** @type {Item} */ ("keys"), amount: 1}};
+            return /** @type {Room} */ ({...unlocked(room), hallways: {...room.hallways, [entry]: door}});
+        };
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(unlocked)),
+                draft: {...draft, options: draft.options.map(withLockedEntry)},
+            },
+        };
+    },
+    // shops came to sell several offers instead of one key, older shop rooms get the first wares of the stock,
+    // and count the key they sold as a trigger
+    14: (save) => {
+        /** @param {Room} room */
+        const withOffers = (room) => {
+            const offers = Object.keys(SHOP_STOCK).slice(0, Effects[room.events.enter]?.shop ?? 0);
+            const triggerCount = offers.length > 0 ? room.useCount : room.triggerCount;
+            return /** @type {Room} */ ({...room, offers, triggerCount});
+        };
+        return {
+            ...save,
+            game: {
+                ...save.game,
+                grid: save.game.grid.map(row => row.map(withOffers)),
+                draft: {...save.game.draft, options: save.game.draft.options.map(withOffers)},
+            },
+        };
+    },
+};
+
+/**
+ * @param {Game} game
+ * @return {string} the game as versioned JSON
+ */
+const serializeGame = (game) => JSON.stringify({
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    game: game.serialize(),
+});
+
+/**
+ * Parses a save and migrates it to the current version.
+ * @param {string} json
+ * @return {SaveData}
+ */
+const parseSave = (json) => {
+    /** @type {SaveData} */
+    let save = JSON.parse(json);
+    if (typeof save?.version !== "number" || save.version > SAVE_VERSION) {
+        throw new Error(`Unsupported save version: ${save?.version}`);
+    }
+    while (save.version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[save.version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${save.version}`);
+        }
+        save = {...migrate(save), version: save.version + 1};
+    }
+    return save;
+};
+
+/**
+ * Loads the given save into the game.
+ * @param {Game} game
+ * @param {string} json - the save, as produced by {@link serializeGame}
+ * @return {SaveData} the loaded save
+ */
+const deserializeGame = (game, json) => {
+    const save = parseSave(json);
+    game.restore(save.game);
+    return save;
+};
+
+/**
+ * Runs the given change and makes it undoable, if it changed anything besides the action log and the play time.
+ * @param {Game} game
+ * @param {() => void} change
+ */
+const undoable = (game, change) => {
+    /** @param {GameSnapshot} snapshot */
+    const withoutLog = (snapshot) => JSON.stringify({...snapshot, actions: undefined, playTime: undefined});
+    const before = game.serialize();
+    change();
+    if (withoutLog(before) !== withoutLog(game.serialize())) {
+        game.pushHistory(before);
+    }
+};
+
+/**
+ * Applies an action of the player with the rules of the game, and records it in the log of the run.
+ * Actions not allowed in the current state are ignored (and not recorded).
+ * @param {Game} game
+ * @param {ReplayAction} action
+ */
+const performAction = (game, action) => {
+    const state = game.getState();
+    switch (action.type) {
+        case "move":
+            if (state !== "move") return;
+            undoable(game, () => {
+                game.record(action);
+                // without steps the player goes nowhere, and the run ends right away
+                if (game.getResource("steps") > 0) {
+                    updatePlayerPosition(game, action.direction);
+                }
+                checkDefeat(game);
+            });
+            break;
+        case "use":
+            if (state !== "move") return;
+            if (!game.playerRoom.canUse()) {
+                // not an action, so nothing to record or undo
+                game.lastEffect = "There is nothing to use here.";
+                return;
+            }
+            undoable(game, () => {
+                game.record(action);
+                useRoom(game);
+                checkDefeat(game);
+            });
+            break;
+        case "select":
+            if (state !== "draft") return;
+            selectDraftOption(game, action.index);
+            game.record({type: "select", index: game.draft.index});
+            break;
+        case "place":
+            if (state !== "draft") return;
+            undoable(game, () => {
+                selectDraftOption(game, action.index);
+                game.record({type: "place", index: game.draft.index});
+                placeRoom(game);
+                checkDefeat(game);
+            });
+            break;
+        case "rotate":
+            if (state !== "draft") return;
+            game.record(action);
+            rotateDraftOption(game, action.turns);
+            break;
+        case "refresh":
+            if (state !== "draft") return;
+            game.record(action);
+            buyDraftRefresh(game);
+            break;
+        case "buy":
+            if (state !== "shop") return;
+            undoable(game, () => {
+                game.record(action);
+                buyShopOffer(game, action.index);
+            });
+            break;
+        case "closeShop":
+            if (state !== "shop") return;
+            game.record(action);
+            game.setState("move");
+            // the steps may have run out on the way in, with the shop as the last chance
+            checkDefeat(game);
+            break;
+        case "grant":
+            // cheats help a run along, they cannot change how a finished one went
+            if (!["move", "draft", "shop"].includes(state) || !(action.item in ItemTexts)) return;
+            game.record(action);
+            game.addResource(action.item, action.amount);
+            break;
+    }
+};
+
+/**
+ * Walks the player one room further on a travel, as a regular move.
+ * @param {Game} game
+ * @param {Direction} direction
+ * @return {boolean} true if the travel may go on, false if the move failed, the steps ran out,
+ * the run ended, a leave effect stopped or turned the move,
+ * or the entered room interrupted it, by triggering its effect or offering one to use
+ */
+const travelStep = (game, direction) => {
+    const expected = tileTowards(game.player, direction);
+    performAction(game, {type: "move", direction});
+    if (!areEqualCoords(expected, game.player) || game.getState() !== "move" || game.getResource("steps") <= 0) {
+        return false;
+    }
+    return !Effects[game.playerRoom.events.enter].interrupts || (game.lastEffect === "" && !game.playerRoom.canUse());
+};
+
+/**
+ * Walks the player to the given revealed room on the shortest route, entering every room on the way.
+ * @param {Game} game
+ * @param {Coord} target
+ */
+const travel = (game, target) => {
+    for (const direction of findPath(game, target) ?? []) {
+        if (!travelStep(game, direction)) {
+            break;
+        }
+    }
+};
+
+/**
+ * Version of the replay format, the first field of an encoded replay.
+ * @type {number}
+ */
+const REPLAY_VERSION = 3;
+
+/**
+ * Turns a replay into a short text, e.g. `3;42;classic;spareKey+savings;m1,p0,m3,s2,r,p2`.
+ * The board is the name of its preset, or the board itself as URI-encoded JSON if it is not one.
+ * The unlocks are joined with `+`, empty if there are none.
+ * Actions are `m<direction index>`, `u`, `s<option>`, `p<option>`, `o<turns>`, `r`, `b<offer>`, `x` and `+<item>:<amount>`.
+ * @param {Replay} replay
+ * @return {string}
+ */
+const encodeReplay = (replay) => {
+    const tokens = replay.actions.map(action => {
+        switch (action.type) {
+            case "move":
+                return `m${DIRECTION_VALUES.indexOf(action.direction)}`;
+            case "use":
+                return "u";
+            case "select":
+                return `s${action.index}`;
+            case "place":
+                return `p${action.index}`;
+            case "rotate":
+                return `o${action.turns}`;
+            case "refresh":
+                return "r";
+            case "buy":
+                return `b${action.index}`;
+            case "closeShop":
+                return "x";
+            case "grant":
+                return `+${action.item}:${action.amount}`;
+        }
+    });
+    const preset = BOARD_PRESETS[replay.board.name];
+    const board = preset && JSON.stringify(preset) === JSON.stringify(replay.board)
+        ? replay.board.name
+        : encodeURIComponent(JSON.stringify(replay.board));
+    return `${REPLAY_VERSION};${replay.seed};${board};${replay.unlocks.join("+")};${tokens.join(",")}`;
+};
+
+/**
+ * Parses a replay produced by {@link encodeReplay}. Replays of version 1 have no board, they were all played on the classic one.
+ * Replays before version 3 have no unlocks, there were none.
+ * @param {string} text
+ * @return {Replay}
+ */
+const decodeReplay = (text) => {
+    const fields = text.trim().split(";");
+    const version = Number(fields[0]);
+    if (version !== 1 && version !== 2 && version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${fields[0]}`);
+    }
+    const [seed, boardToken, unlockTokens, tokens = ""] = version === 1
+        ? [fields[1], "classic", "", fields[2]]
+        : version === 2 ? [fields[1], fields[2], "", fields[3]] : fields.slice(1);
+    /** @type {BoardConfig} */
+    let board;
+    try {
+        board = BOARD_PRESETS[boardToken] ?? JSON.parse(decodeURIComponent(boardToken));
+    } catch (error) {
+        throw new Error(`Invalid replay board: ${boardToken}`);
+    }
+    if (!/^\d+$/.test(seed)) {
+        throw new Error(`Invalid replay seed: ${seed}`);
+    }
+    const unlocks = unlockTokens.split("+").filter(token => token.length > 0);
+    const unknown = unlocks.find(id => !(id in UNLOCKS));
+    if (unknown !== undefined) {
+        throw new Error(`Invalid replay unlock: ${unknown}`);
+    }
+    const actions = tokens.split(",").filter(token => token.length > 0).map(token => {
+        /** @type {ReplayAction} */
+        let action;
+        if (/^m[0-5]$/.test(token)) {
+            action = {type: "move", direction: DIRECTION_VALUES[Number(token.substring(1))]};
+        } else if (/^[sp]\d+$/.test(token)) {
+            action = {type: token[0] === "s" ? "select" : "place", index: Number(token.substring(1))};
+        } else if (/^o-?\d+$/.test(token)) {
+            action = {type: "rotate", turns: Number(token.substring(1))};
+        } else if (token === "u") {
+            action = {type: "use"};
+        } else if (token === "r") {
+            action = {type: "refresh"};
+        } else if (/^b\d+$/.test(token)) {
+            action = {type: "buy", index: Number(token.substring(1))};
+        } else if (token === "x") {
+            action = {type: "closeShop"};
+        } else if (/^\+\w+:-?\d+$/.test(token)) {
+            const [item, amount] = token.substring(1).split(":");
+            if (!(item in ItemTexts)) {
+                throw new Error(`Invalid replay item: ${item}`);
+            }
+            action = {type: "grant", item: /** @type {Item} */ (item), amount: Number(amount)};
+        } else {
+            throw new Error(`Invalid replay action: ${token}`);
+        }
+        return action;
+    });
+    return {seed: Number(seed), board: JSON.parse(JSON.stringify(board)), unlocks, actions};
+};
+
+/**
+ * Starts the run of the replay again and plays the given number of its actions.
+ * @param {Game} game
+ * @param {Replay} replay
+ * @param {number} steps
+ */
+const runReplay = (game, replay, steps = replay.actions.length) => {
+    game.newGame(replay.seed, replay.board, replay.unlocks);
+    replay.actions.slice(0, steps).forEach(action => performAction(game, action));
+};
+
+/**
+ * The headless API of the game: every player action, with the rules applied, chainable.
+ * @typedef {Object} GameSession
+ * @property {Game} game - The underlying game.
+ * @property {(direction: Direction) => GameSession} move - Moves the player, or opens the draft towards a hidden room.
+ * @property {() => GameSession} use - Uses the room the player stands in.
+ * @property {(target: Coord) => GameSession} travel - Walks the player to a revealed room, see {@link travel}.
+ * @property {(index: number) => GameSession} select - Moves the draft selection to the given option.
+ * @property {(index?: number) => GameSession} draft - Places the given (by default the selected) draft option.
+ * @property {(turns: number) => GameSession} rotate - Turns the selected draft option, see {@link rotateDraftOption}.
+ * @property {() => GameSession} refresh - Rerolls the draft options for a reroll or gems.
+ * @property {(index: number) => GameSession} buy - Buys the given offer of the shop the player is in.
+ * @property {() => GameSession} closeShop - Leaves the shop screen, the player stays in the room.
+ * @property {(item: Item, amount: number) => GameSession} grant - Hands resources to the player (cheats).
+ * @property {(action: ReplayAction) => GameSession} perform - Applies any action, e.g. one of a replay.
+ * @property {() => GameSession} undo - Goes back to before the last move or room placement, within the undo budget.
+ * @property {() => GameSession} redo - Does the last undone move or room placement again.
+ */
+
+/**
+ * Creates a new game, driven only by its options. Needs no canvas or DOM.
+ * @param {GameOptions} options
+ * @return {GameSession}
+ */
+const createGame = (options = {}) => {
+    const game = new Game(options);
+    /** @type {GameSession} */
+    const session = {
+        game,
+        move: (direction) => session.perform({type: "move", direction}),
+        use: () => session.perform({type: "use"}),
+        travel: (target) => {
+            travel(game, target);
+            return session;
+        },
+        select: (index) => session.perform({type: "select", index}),
+        draft: (index = game.draft.index) => session.perform({type: "place", index}),
+        rotate: (turns) => session.perform({type: "rotate", turns}),
+        refresh: () => session.perform({type: "refresh"}),
+        buy: (index) => session.perform({type: "buy", index}),
+        closeShop: () => session.perform({type: "closeShop"}),
+        grant: (item, amount) => session.perform({type: "grant", item, amount}),
+        perform: (action) => {
+            performAction(game, action);
+            return session;
+        },
+        undo: () => {
+            game.undo();
+            return session;
+        },
+        redo: () => {
+            game.redo();
+            return session;
+        },
+    };
+    return session;
+};
+
+// Node has no shared global scope between files, so the engine is handed over explicitly there
+// @ts-ignore
+if (typeof exports === "object") {
+    // @ts-ignore
+    Object.assign(exports, {
+        BOARD_PRESETS,
+        DEFAULT_ROOM_CATALOG,
+        DIRECTION_VALUES,
+        DRAFT_CONSTRAINTS,
+        DefeatReasonTexts,
+        Effects,
+        Game,
+        PUZZLE_VALUES,
+        Room,
+        SAVE_MIGRATIONS,
+        SAVE_VERSION,
+        SHOP_STOCK,
+        SeededRNG,
+        UNLOCKS,
+        analyzeReachability,
+        checkDefeat,
+        createGame,
+        decodeReplay,
+        findPath,
+        deserializeGame,
+        describeEffect,
+        describeRoomUse,
+        describeShopOffers,
+        draftRuleHolds,
+        earnedUnlocks,
+        encodeReplay,
+        hashString,
+        loadRoomCatalog,
+        migrateRoomCatalog,
+        newProgress,
+        normalizeSeed,
+        opposite,
+        parseSave,
+        performAction,
+        previewPlacement,
+        recordRun,
+        runEffect,
+        runReplay,
+        seedFromText,
+        serializeGame,
+        shopPurchasesLeft,
+        surveyDraft,
+        tileTowards,
+        travel,
+        travelStep,
+        validateRoomCatalog,
+    });
+}
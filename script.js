@@ -4,13 +4,6 @@
 let DEBUG_MODE = false;
 let RENDER_AREA_HAS_BEEN_RESIZED = true;
 
-/**
- * A coordinate on the grid, identified by its row and column.
- * @typedef {Object} Coord
- * @property {number} row - The row index within the grid.
- * @property {number} col - The column index within the grid.
- */
-
 /**
  * A Point on the canvas, identified by its x and y position.
  * @typedef {Object} Point2D
@@ -36,24 +29,6 @@ let RENDER_AREA_HAS_BEEN_RESIZED = true;
  * @property {number} height - Vertical span (distance between top and bottom).
  */
 
-/**
- * A hallway connecting rooms. Hallways may not always be present.
- * If enabled, their status reflects what's on the other side.
- * @typedef {Object} Hallway
- * @property {"unknown" | "open" | "blocked"} status - Current state of the hallway.
- * @property {boolean} enabled - Whether the hallway is active (can be used).
- */
-
-/**
- * A room effect triggered by interaction such as entering, leaving, or activating the room.
- * @typedef {Object} Effect
- * @property {() => void} invoke - Function to trigger the effect.
- * @property {string} description - Text describing the effect’s behavior.
- * @property {string} triggerText - UI message shown when the effect is activated.
- * @property {number} triggerLimit - Max number of times this effect can be triggered.
- * @property {number} rarity - Numeric value indicating how rare this effect is.
- */
-
 /**
  * Represents the active state of keyboard modifier keys.
  * @typedef {Object} ModifierState
@@ -71,97 +46,11 @@ let RENDER_AREA_HAS_BEEN_RESIZED = true;
  * @property {Set<number>} buttons - A set of pressed mouse button codes (0 = left, 1 = middle, 2 = right).
  */
 
-/**
- * Events related to room activities
- * @typedef {"enter"|"exit"|"use"} RoomEvent
- */
-
-/**
- * What state the game is in
- * @typedef {"move"|"draft"|"help"} GameState
- */
-/**
- * What can be found in a room
- * @typedef {"keys"|"lock"|"gems"|"steps"} Item
- */
-
-/**
- * Direction of movement on the grid
- * @typedef {
- * "NORTH" |
- * "NORTH_EAST" |
- * "SOUTH_EAST" |
- * "SOUTH" |
- * "SOUTH_WEST" |
- * "NORTH_WEST"
- * } Direction
- */
-
-/**
- * Represents primary visual symbols used to identify the main room effect
- * @typedef {"spiral" | "diamond" | "loop" | "bright" | "circle" | "square"} Symbol
- */
-
-
-/**
- * Represents alternate symbols that may appear in rooms
- * @typedef {"target" | "star" | "slash" | "paint" | "egg" | "grid"} AltSymbol
- */
-
 /**
  * Represents font scale levels.
  * @typedef {"xs" | "sm" | "md" | "lg" | "xl"} FontSize
  */
 
-/**
- * Rectangle drawn on the canvas.
- * @typedef {Object} PuzzlePiece
- * @property {Symbol} innerSymbol - The symbol in the middle of the puzzle
- * @property {AltSymbol} outerSymbol - The symbol being run around the inner sections
- * @property {string} fillColor - The main color of the hexagon
- * @property {"straight" | "wavy" | "dotted" | "dashed"} lineType - The line type coming from the center
- */
-
-/** @type {Direction[]} */
-const DIRECTION_VALUES = [
-    "NORTH",
-    "NORTH_EAST",
-    "SOUTH_EAST",
-    "SOUTH",
-    "SOUTH_WEST",
-    "NORTH_WEST"];
-
-
-/** @type {Record<Item, string>} */
-const ItemTexts = {
-    "steps": "👣",
-    "keys": "🔑",
-    "lock": "🔒",
-    "gems": "💎",
-};
-
-
-/** @type {Record<Symbol, string>} */
-const SymbolTexts = {
-    "spiral": "🌀",
-    "diamond": "🔶",
-    "loop": "➰",
-    "bright": "🔆",
-    "circle": "🔴",
-    "square": "🟩",
-};
-
-
-/** @type {Record<AltSymbol, string>} */
-const AltSymbolTexts = {
-    "target": "🎯",
-    "star": "✴️",
-    "slash": "〰️",
-    "paint": "🎨",
-    "egg": "🥚",
-    "grid": "🔳",
-};
-
 /**
  * Determines whether a point (x, y) lies inside a given rectangular area.
  *
@@ -173,205 +62,6 @@ const AltSymbolTexts = {
 const isInside = (x, y, rect) =>
     rect.x <= x && rect.y <= y && x <= rect.x + rect.width && y <= rect.y + rect.height;
 
-/**
- *
- * @param {Coord} coord
- * @return {string} the string representation of the given coordinate
- */
-const coordToString = (coord) => `[${coord.row};${coord.col}]`;
-
-/**
- *
- * @param {Coord} coord1
- * @param {Coord} coord2
- * @return {boolean} if the two coords are the same, false otherwise
- */
-const areEqualCoords = (coord1, coord2) => coord1.row === coord2.row && coord1.col === coord2.col;
-
-/**
- *
- * @param {Coord} coord1
- * @param {Coord} coord2
- * @return {boolean} if the two coords are neighbors on the grid, false otherwise
- */
-const areNeighbors = (coord1, coord2) => DIRECTION_VALUES.some((direction) => areEqualCoords(tileTowards(coord1, direction), coord2));
-
-/**
- *
- * @param origin the origin to check the direction from
- * @param coord the coord to check towards to
- * @return {Direction | undefined} if they are neighbors, the proper direction, undefined otherwise
- */
-const getDirection = (origin, coord) => DIRECTION_VALUES.find((direction) => areEqualCoords(tileTowards(origin, direction), coord))
-
-class SeededRNG {
-    /**
-     * The current seed used by the generator
-     * @type {number}
-     */
-    #seed;
-
-    constructor(seed = 0) {
-        this.setSeed(seed);
-    }
-
-    setSeed(seed) {
-        this.#seed = seed ?? Math.floor(Math.random() * Math.pow(2, 31)) + 1;
-    }
-
-    float() {
-        this.#seed ^= this.#seed << 13;
-        this.#seed ^= this.#seed >> 17;
-        this.#seed ^= this.#seed << 5;
-        return (this.#seed >>> 0) / 0xFFFFFFFF;
-    }
-
-    int32() {
-        this.#seed ^= this.#seed << 13;
-        this.#seed ^= this.#seed >> 17;
-        this.#seed ^= this.#seed << 5;
-        return this.#seed | 0;
-    }
-
-    get seed() {
-        return this.#seed;
-    }
-}
-
-const rng = new SeededRNG(Date.now());
-
-/**
- * Sets the random seed.
- * @param {number} seed
- */
-const setSeed = (seed) => rng.setSeed(seed);
-
-/**
- * Returns a random float between 0 (inclusive) and 1 (exclusive).
- * @returns {number}
- */
-const randomFloat = () => rng.float();
-
-/**
- * Returns a random integer between min (inclusive) and max (exclusive).
- * @param {number} min
- * @param {number} max
- * @returns {number}
- */
-const randomRange = (min, max) => Math.floor(randomFloat() * (max - min)) + min;
-
-/**
- * Returns a random 32-bit integer or one bounded between 0 and the specified value.
- * @param {number} bound
- * @returns {number}
- */
-const randomInt32 = (bound = 0) => bound ? randomRange(0, bound) : rng.int32();
-
-/**
- * Returns a random boolean.
- * @returns {boolean}
- */
-const randomBool = () => randomInt32() % 2 === 0;
-
-/**
- * Picks a random element from an array.
- * @template T
- * @param {Array<T>} items
- * @returns {T}
- */
-const randomElement = items => items[randomInt32(items.length)];
-
-/**
- * Generates a random hex color string (e.g., #A3F2D1).
- * @returns {string}
- */
-const randomHexColor = () => {
-    const letters = "0123456789ABCDEF";
-    let color = "#";
-    for (let i = 0; i < 6; i++) {
-        color += randomElement([...letters]);
-    }
-    return color;
-};
-
-/** @typedef { "noop" | "taxes" | "garden" | "shop" | "extraSteps" | "money" | "extraKey" | "exit" } EffectType */
-
-/** @type {Record<EffectType, Effect>} */
-const Effects = {
-    "extraSteps":
-        {
-            invoke: () => gameState.addResource("steps", 2),
-            description: "Take a rest.",
-            triggerText: "You have gained 2 extra steps.",
-            triggerLimit: -1,
-            rarity: 0.5,
-        },
-    "extraKey":
-        {
-            invoke: () => gameState.addResource("keys"),
-            description: "Alohomora.",
-            triggerText: "You have found a key.",
-            triggerLimit: 1,
-            rarity: 0.3,
-        },
-    "money":
-        {
-            invoke: () => gameState.addResource("gems"),
-            description: "What's that spark in the corner?",
-            triggerText: "You have found a gem.",
-            triggerLimit: 1,
-            rarity: 0.3,
-        },
-    "taxes":
-        {
-            invoke: () => gameState.removeResource("gems"),
-            description: "Takes a toll on you.",
-            triggerText: `You have to pay taxes: ${ItemTexts.gems}`,
-            triggerLimit: -1,
-            rarity: 0.3,
-        },
-    "garden":
-        {
-            invoke: () => gameState.setResource("steps", 41),
-            description: "Like starting again.",
-            triggerText: "Your steps have been reset.",
-            triggerLimit: -1,
-            rarity: 0.4,
-        },
-    "shop":
-        {
-            invoke: () => {
-                if (gameState.getResource("gems") >= 5) {
-                    gameState.addResource("keys");
-                    gameState.removeResource("gems", 5);
-                }
-            },
-            description: "Buy your passage.",
-            triggerText: "You can buy a key for #5 with [Space].",
-            triggerLimit: 1,
-            rarity: 0.9,
-        },
-    "exit":
-        {
-            invoke: () => {
-                gameState.pause();
-            },
-            description: "",
-            triggerText: "You have won!",
-            triggerLimit: -1,
-            rarity: 0,
-        },
-    "noop":
-        {
-            invoke: () => {
-            },
-            description: "A simple room.",
-            triggerText: "",
-            triggerLimit: -1,
-            rarity: 0.7,
-        },
-};
-
 class Tween {
     /**
      *
@@ -451,109 +141,6 @@ let animations = [
     }),
 ];
 
-class Room {
-    /** @type {Record<RoomEvent, string>} */
-    events;
-    /** @type {Record<Direction, Hallway>} */
-    hallways;
-    /** @type {boolean} */
-    revealed;
-    /** @type {number} */
-    triggerCount;
-    /** @type {boolean} */
-    needsKey;
-    /** @type {Item[]} */
-    items;
-    /** @type {Coord} */
-    coord;
-
-    /** @param {Room | undefined} values */
-    constructor(values = undefined) {
-        if (!!values) {
-            this.events = values.events;
-            this.hallways = values.hallways;
-            this.revealed = values.revealed;
-            this.triggerCount = values.triggerCount;
-            this.needsKey = values.needsKey;
-            this.items = values.items;
-            this.coord = values.coord;
-        } else {
-            this.#defaults();
-        }
-    }
-
-    #defaults() {
-        this.events = {
-            "enter": "noop",
-            "exit": "noop",
-            "use": "noop",
-        }
-        this.hallways = {
-            NORTH: {status: "unknown", enabled: true},
-            NORTH_EAST: {status: "unknown", enabled: true},
-            SOUTH_EAST: {status: "unknown", enabled: true},
-            SOUTH: {status: "unknown", enabled: true},
-            SOUTH_WEST: {status: "unknown", enabled: true},
-            NORTH_WEST: {status: "unknown", enabled: true},
-        };
-        this.revealed = false;
-        this.triggerCount = 0;
-        this.needsKey = false;
-        this.items = [];
-        this.coord = {row: -1, col: -1};
-
-    }
-
-    /** @param {string} event */
-    #invokeEvent(event) {
-        if (Effects[event].triggerLimit === -1) {
-            // the event has no limitation on its invocation
-            Effects[event].invoke();
-            gameState.lastEffect = Effects[event].triggerText;
-        } else if (this.triggerCount < Effects[event].triggerLimit) {
-            // the event does have limitation on its invocation, but the player has not yet exhausted it
-            Effects[event].invoke();
-            gameState.lastEffect = Effects[event].triggerText;
-            this.triggerCount += 1;
-        } else {
-            // Effect limitation exhausted
-            gameState.lastEffect = "";
-        }
-    }
-
-    /**
-     * Called when the player enters the room.
-     */
-    enter() {
-        this.#invokeEvent(this.events.enter);
-    }
-
-    use() {
-        this.#invokeEvent(this.events.use);
-    }
-
-    exit() {
-        this.#invokeEvent(this.events.exit);
-    }
-
-    /**
-     *
-     * @returns {Room} copy of this
-     */
-    copy() {
-        return new Room(JSON.parse(JSON.stringify(this)));
-    }
-}
-
-/**
- * Represents a draft state used for room placement and selection.
- * @typedef {Object} Draft
- * @property {number} index - The currently selected room index in the draft.
- * @property {Coord} position - The grid coordinate where the draft is positioned.
- * @property {Direction} direction - Direction of placement for the current room.
- * @property {Room[]} options - Array of room options available in the draft.
- */
-
 
 /** @type {HTMLCanvasElement} */
 // @ts-ignore
@@ -717,7 +304,7 @@ const CSS_COLOR_NAMES = {
     YellowGreen: '#9ACD32',
 };
 
-const randomColor = () => randomElement(Object.values(CSS_COLOR_NAMES));
+const randomColor = () => randomElement(Object.values(CSS_COLOR_NAMES), cosmeticRng());
 
 /**
  * @param {{fill?: string, border?: string, borderWidth?: number}} colors
@@ -735,730 +322,180 @@ const useColors = (colors) => {
 }
 
 /**
- *
- * @param {number} value
- * @param {number} lower
- * @param {number} upper
- * @returns {number} the clamped value
- */
-const clamp = (value, lower, upper) => value < lower ? lower : value > upper ? upper : value;
-
-/** @type {Record<EffectType | "draft", string>} */
-const ROOM_COLORS = {
-    "noop": "#AF6C31",
-    "taxes": "#AE0000",
-    "garden": "#2F8043",
-    "shop": "#D7DE87",
-    "extraSteps": "#6E5381",
-    "money": CSS_COLOR_NAMES.Tan,
-    "extraKey": CSS_COLOR_NAMES.Gold,
-    "exit": "#005A8D",
-    "draft": CSS_COLOR_NAMES.LightSteelBlue,
-};
+ * Color of the tile the next room gets drafted into. Rooms themselves take their colors from the room catalog.
+ * @type {string}
+ */
+const DRAFT_COLOR = CSS_COLOR_NAMES.LightSteelBlue;
 
 const PLAYER_COLOR = CSS_COLOR_NAMES.Black;
 const CLEAR_COLOR = "#1D1D1D";
 
-class Game {
-    /**
-     * Number of rows in the grid.
-     * @type {number}
-     */
-    #rows;
+const UNDO_BUDGET_KEY = "red-princess.settings.undoBudget";
 
-    /**
-     * Number of columns in the grid.
-     * @type {number}
-     */
-    #cols;
+/**
+ * @return {number} the undo budget the player has chosen for their runs, unlimited by default
+ */
+const loadUndoBudget = () => {
+    try {
+        const value = localStorage.getItem(UNDO_BUDGET_KEY);
+        return value === null ? -1 : Number(value);
+    } catch (error) {
+        return -1;
+    }
+};
 
-    /**
-     * 2D array representing the hexagonal grid layout of rooms.
-     * @type {Room[][]}
-     */
-    #grid;
+const BOARD_KEY = "red-princess.settings.board";
 
-    /**
-     * Current player position on the grid.
-     * @type {Coord}
-     */
-    #player;
+/**
+ * @return {BoardConfig} the board preset the player has chosen for their runs, the classic one by default
+ */
+const loadBoard = () => {
+    try {
+        return BOARD_PRESETS[localStorage.getItem(BOARD_KEY)] ?? BOARD_PRESETS.classic;
+    } catch (error) {
+        return BOARD_PRESETS.classic;
+    }
+};
 
-    /**
-     * Exit location in the grid.
-     * @type {Coord}
-     */
-    #exit;
+const ROOM_CATALOG_KEY = "red-princess.settings.roomCatalog";
 
-    /**
-     * Current gameplay state.
-     * @type {GameState}
-     */
-    #currentState;
+/**
+ * Uses the room catalog the player has imported, if any. The embedded one stays in use if it is missing or broken.
+ */
+const loadStoredRoomCatalog = () => {
+    try {
+        const json = localStorage.getItem(ROOM_CATALOG_KEY);
+        if (json !== null) {
+            const problems = loadRoomCatalog(JSON.parse(json));
+            if (problems.length > 0) {
+                console.warn("The imported room catalog has been ignored:", problems);
+            }
+        }
+    } catch (error) {
+        console.warn("Could not load the imported room catalog.", error);
+    }
+};
 
-    /**
-     * Collection of resource types and their quantities.
-     * Keys are item names, values are counts.
-     * @type {Partial<Record<Item, number>>}
-     */
-    #resources;
+loadStoredRoomCatalog();
 
-    /**
-     * Whether the game loop is currently active.
-     * @type {boolean}
-     */
-    #running;
+const PROGRESS_KEY = "red-princess.progress";
 
-    /**
-     * Most recently triggered effect type.
-     * @type {EffectType}
-     */
-    #lastEffect;
+/**
+ * @return {Progress} what the player achieved over all their runs on this browser
+ */
+const loadProgress = () => {
+    try {
+        return {...newProgress(), ...JSON.parse(localStorage.getItem(PROGRESS_KEY) ?? "{}")};
+    } catch (error) {
+        console.warn("Could not load the progress.", error);
+        return newProgress();
+    }
+};
 
-    /**
-     * Timestamp from last game tick or update.
-     * @type {number}
-     */
-    #lastTimeStamp;
+/**
+ * Whether the current run has already been counted into the progress, so that undoing and finishing it again does not count twice.
+ * @type {boolean}
+ */
+let runRecorded = false;
 
-    /**
-     * Draft pool used for room placement.
-     * Values are randomly generated upon entering draft mode.
-     * @type {Draft}
-     */
-    #draft;
+/**
+ * Names of the unlocks the current run has earned, for the screens at its end.
+ * @type {string[]}
+ */
+let unlockedByRun = [];
 
-    /**
-     * Grid row index beneath the mouse pointer.
-     * @type {number}
-     */
-    mouseGridRow;
+/**
+ * Counts the finished current run into the progress, once.
+ */
+const recordFinishedRun = () => {
+    if (runRecorded || replayViewer.active) return;
+    runRecorded = true;
+    const before = earnedUnlocks(loadProgress());
+    const progress = recordRun(loadProgress(), gameState);
+    try {
+        localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+    } catch (error) {
+        console.warn("Could not store the progress.", error);
+    }
+    unlockedByRun = earnedUnlocks(progress).filter(id => !before.includes(id)).map(id => UNLOCKS[id].name);
+};
 
-    /**
-     * Grid column index beneath the mouse pointer.
-     * @type {number}
-     */
-    mouseGridCol;
+/**
+ * The running game. Every player action goes through it, the rules live in core.js.
+ * @type {GameSession}
+ */
+const session = createGame({
+    seed: Date.now(),
+    undoBudget: loadUndoBudget(),
+    board: loadBoard(),
+    unlocks: earnedUnlocks(loadProgress()),
+});
 
-    constructor() {
-        this.newGame();
-    }
-
-    newGame() {
-        this.#rows = 5;
-        this.#cols = 13;
-
-        this.#grid = Array.from({length: this.#rows},
-            (_, row) => Array.from({length: this.#cols},
-                (_, col) => {
-                    /** @type {Room}*/
-                    const room = new Room();
-                    room.coord.row = row;
-                    room.coord.col = col;
-                    return room;
-                })
-        );
-
-        this.#player = {row: 2, col: 0};
-        this.atCoord(this.player).events = {
-            enter: "noop",
-            exit: "noop",
-            use: "noop",
-        };
-        this.atCoord(this.player).revealed = true;
-        this.atCoord(this.player).hallways = {
-            NORTH: {status: "unknown", enabled: true},
-            NORTH_EAST: {status: "unknown", enabled: true},
-            SOUTH_EAST: {status: "unknown", enabled: true},
-            SOUTH: {status: "unknown", enabled: true},
-            SOUTH_WEST: {status: "blocked", enabled: true},
-            NORTH_WEST: {status: "blocked", enabled: true},
-        };
+/** @type {Game} */
+const gameState = session.game;
 
-        this.#exit = {row: 2, col: 9};
-        this.atCoord(this.exit).events = {
-            enter: "exit",
-            exit: "noop",
-            use: "noop",
-        };
-        this.atCoord(this.exit).revealed = true;
-        this.atCoord(this.exit).hallways = {
-            NORTH: {status: "unknown", enabled: true},
-            NORTH_EAST: {status: "blocked", enabled: true},
-            SOUTH_EAST: {status: "blocked", enabled: true},
-            SOUTH: {status: "unknown", enabled: true},
-            SOUTH_WEST: {status: "unknown", enabled: true},
-            NORTH_WEST: {status: "unknown", enabled: true},
-        };
-        this.#draft = {
-            index: 0,
-            position: {
-                row: 0,
-                col: 0,
-            },
-            direction: "NORTH",
-            options: [
-                new Room(),
-                new Room(),
-                new Room(),
-            ]
-        };
-        this.#draft.options.forEach(draft => draft.revealed = true);
+/**
+ * Every random choice made only for the looks must come from here, so it never affects gameplay.
+ * @return {SeededRNG}
+ */
+const cosmeticRng = () => gameState.rng.stream("cosmetic");
 
-        this.#resources = {
-            "steps": 40,
-            "keys": 1,
-            "gems": 0,
-        };
+let playerAnimationIsPlaying = false;
 
-        this.mouseGridRow = -1;
-        this.mouseGridCol = -1;
+/**
+ * Time between two steps of a travel, in milliseconds.
+ * @type {number}
+ */
+const TRAVEL_STEP_DELAY = 150;
 
-        this.#lastTimeStamp = 0;
-        this.#lastEffect = "noop";
+/**
+ * The rest of the route the player is auto-walking after clicking a room, one direction per step.
+ * @type {Direction[]}
+ */
+let travelRoute = [];
 
-        this.setState("move");
-        this.play();
-    }
+/**
+ * Timestamp of the last step of the travel.
+ * @type {number}
+ */
+let lastTravelStepTime = -Infinity;
 
-    get rows() {
-        return this.#rows;
+/**
+ * Walks the next step of the current travel, if it is time for it.
+ * @param {number} time
+ */
+const updateTravel = (time) => {
+    if (travelRoute.length === 0 || activeMenu || replayViewer.active) return;
+    if (time - lastTravelStepTime >= TRAVEL_STEP_DELAY) {
+        lastTravelStepTime = time;
+        if (!travelStep(gameState, travelRoute.shift())) {
+            travelRoute = [];
+        }
     }
+};
 
-    get cols() {
-        return this.#cols;
+/**@param {number} delta - the delta time since last update call */
+const update = (delta) => {
+    for (const tween of animations) {
+        if (tween.active) {
+            tween.update(delta);
+        }
     }
+    animations = animations.filter((t) => t.active);
+    replayViewer.update(delta);
+    updateTravel(delta);
+    // gameState.mouseGridRow = -1;
+    // gameState.mouseGridCol = -1;
+};
 
-    /**
-     *
-     * @return {Coord}
-     */
-    get player() {
-        return this.#player;
-    }
+class Renderer {
+    /** @type {Record<string, Rectangle>} */
+    layout;
 
     /**
-     *
-     * @return {Coord}
+     * @type {Point2D}
      */
-    get exit() {
-        return this.#exit;
-    }
-
-    /**
-     Moves the player to the given position.
-
-     @assumes The coord is a valid coordinate on the grid
-     @param {number} row the row number
-     @param {number} col the column number
-     * */
-    movePlayerTo(row, col) {
-        this.#player.row = row;
-        this.#player.col = col;
-    }
-
-    /**
-     * Moves the player to the given position.
-     *
-     * @assumes The coord is a valid coordinate on the grid
-     * @param {Coord} coord
-     * */
-    movePlayerToCoord(coord) {
-        this.movePlayerTo(coord.row, coord.col);
-    }
-
-    /**
-     * Returns the room at the given position.
-     * @assumes The coord is a valid coordinate on the grid
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * @return {Room} the room in the grid.
-     * */
-    at(row, col) {
-        return this.#grid[row][col];
-    }
-
-    /**
-     * Returns the room at the given position.
-     *
-     * @assumes The coord is a valid coordinate on the grid
-     * @param {Coord} coord
-     * @return {Room} the room in the grid.
-     * */
-    atCoord(coord) {
-        return this.at(coord.row, coord.col);
-    }
-
-    /**
-     *
-     * @param {Room} room
-     */
-    placeRoom(room) {
-        if (this.validCoord(room.coord)) {
-            this.#grid[room.coord.row][room.coord.col] = room;
-        }
-    }
-
-    /**
-     * Returns whether the given coordinate is valid on the grid.
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * @return {boolean} true if so, false otherwise
-     * */
-    valid(row, col) {
-        return 0 <= row && row < this.#rows && 0 <= col && col < this.#cols;
-    }
-
-    /**
-     * Returns whether the given coordinate is valid on the grid.
-     *
-     * @param {Coord} coord
-     * @return {boolean} true if so, false otherwise
-     * */
-    validCoord(coord) {
-        return this.valid(coord.row, coord.col);
-    }
-
-    /**
-     * Sets the current game state
-     * @param {GameState} state
-     */
-    setState(state) {
-        this.#currentState = state;
-    }
-
-    /**
-     * Gets the current game state
-     * @return {GameState} current state
-     */
-    getState() {
-        return this.#currentState;
-    }
-
-    /**
-     * Sets whether the given room on the grid is revealed or not
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * @param {boolean} value
-     * */
-    #setRevealed(row, col, value) {
-        this.at(row, col).revealed = value;
-    }
-
-    /**
-     * Reveals the given room on the grid
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * */
-    #reveal(row, col) {
-        this.#setRevealed(row, col, true);
-    }
-
-    /**
-     * Reveals the given room on the grid
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * */
-    #hide(row, col) {
-        this.#setRevealed(row, col, false);
-    }
-
-    /**
-     * Checks whether the given room on the grid is revealed
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * */
-    isRevealed(row, col) {
-        return this.at(row, col).revealed;
-    }
-
-    /**
-     Checks whether the given room on the grid is revealed
-     *
-     * @param {Coord} coord coord
-     * */
-    isRevealedCoord(coord) {
-        return this.isRevealed(coord.row, coord.col);
-    }
-
-    /**
-     Checks whether the given room on the grid is hidden
-     *
-     * @param {number} row the row number
-     * @param {number} col the column number
-     * */
-    isHidden(row, col) {
-        return !this.isRevealed(row, col);
-    }
-
-    /**
-     Checks whether the given room on the grid is hidden
-     *
-     * @param {Coord} coord the coordinate
-     * */
-    isHiddenCoord(coord) {
-        return this.isHidden(coord.row, coord.col);
-    }
-
-    /**
-     * Retrieves the amount of the selected item in the player resources.
-     *  @param {Item} item
-     *  */
-    getResource(item) {
-        return this.#resources[item] ?? 0;
-    }
-
-    /**
-     * Adds the selected item to the player resources.
-     *  @param {Item} item
-     *  @param {number} amount
-     *  */
-    addResource(item, amount = 1) {
-        if (!(item in this.#resources)) {
-            this.#resources[item] = 0;
-        }
-        this.#resources[item] += amount;
-    }
-
-    /**
-     * Removes the selected item from the player resources.
-     *  @param {Item} item
-     *  @param {number} amount
-     *  */
-    removeResource(item, amount = 1) {
-        if (item in this.#resources) {
-            this.#resources[item] -= amount;
-            if (this.#resources[item] < 0) {
-                this.#resources[item] = 0;
-            }
-        }
-    }
-
-    /**
-     * Sets the selected item count in the player resources.
-     *  @param {Item} item
-     *  @param {number} amount
-     *  */
-    setResource(item, amount) {
-        this.#resources[item] = amount;
-    }
-
-    /**
-     *
-     * @return {{type: Item, count: number}[]}
-     */
-    getResources() {
-        return Object.entries(this.#resources).map(([key, value]) => ({
-            /** @type {Item} */
-            type: key,
-            /** @type {number} */
-            count: value
-        }));
-    }
-
-    pause() {
-        this.#running = false;
-    }
-
-    play() {
-        this.#running = true;
-    }
-
-    get isRunning() {
-        return this.#running;
-    }
-
-    get draft() {
-        return this.#draft;
-    }
-
-    get lastTimeStamp() {
-        return this.#lastTimeStamp;
-    }
-
-    set lastTimeStamp(value) {
-        this.#lastTimeStamp = value;
-    }
-
-    get lastEffect() {
-        return this.#lastEffect;
-    }
-
-    set lastEffect(value) {
-        this.#lastEffect = value;
-    }
-
-    /**
-     *
-     * @return {Room}
-     */
-    get playerRoom() {
-        return this.atCoord(this.#player);
-    }
-
-    /**
-     *
-     * @param {Direction} direction
-     * @return {boolean} true if so, false otherwise
-     */
-    canPlayerDraftTowards(direction) {
-        if (!direction) {
-            return false;
-        }
-        /**
-         *
-         * @type {Coord}
-         */
-        const neighborCoords = tileTowards(this.player, direction);
-        if (!this.validCoord(neighborCoords)) {
-            return false;
-        }
-
-        /**
-         *
-         * @type {Room}
-         */
-        const neighborRoom = this.atCoord(neighborCoords);
-        if (neighborRoom.revealed) {
-            return false;
-        }
-
-        /**
-         *
-         * @type {Room}
-         */
-        const playerRoom = this.playerRoom;
-        return playerRoom.hallways[direction].enabled && playerRoom.hallways[direction].status === "unknown";
-    }
-}
-
-/** @type {Game} */
-const gameState = new Game();
-
-/**
- * @param {Coord} coord
- * @return {Room}
- * */
-const at = (coord) => gameState.atCoord(coord);
-
-/**
- * @param {Coord} x
- * @param {Coord} y
- * @return {Coord}
- * */
-const add = (x, y) => ({row: x.row + y.row, col: x.col + y.col});
-
-/** @type {Record<Direction, Coord>} */
-const HEX_DIRECTIONS_ODD_Q = {
-    NORTH: {row: -1, col: 0},
-    NORTH_EAST: {row: 0, col: +1},
-    SOUTH_EAST: {row: +1, col: +1},
-    SOUTH: {row: +1, col: 0},
-    SOUTH_WEST: {row: +1, col: -1},
-    NORTH_WEST: {row: 0, col: -1},
-};
-
-/** @type {Record<Direction, Coord>} */
-const HEX_DIRECTIONS_EVEN_Q = {
-    NORTH: {row: -1, col: 0},
-    NORTH_EAST: {row: -1, col: +1},
-    SOUTH_EAST: {row: 0, col: +1},
-    SOUTH: {row: +1, col: 0},
-    SOUTH_WEST: {row: 0, col: -1},
-    NORTH_WEST: {row: -1, col: -1},
-};
-/**
- * @param {Coord} position
- * @param {Direction} direction
- * @return {Coord}
- * */
-const tileTowards = (position, direction) => {
-    /** @type {Coord} */
-    const offset = position.col % 2 === 0 ? HEX_DIRECTIONS_EVEN_Q[direction] : HEX_DIRECTIONS_ODD_Q[direction];
-    return add(position, offset);
-}
-
-const randomRoomPurpose = () => {
-    const effects = Object.values(Effects);
-    const sum = effects.reduce((acc, r) => acc + r.rarity, 0);
-    let roll = randomFloat() * sum;
-
-    for (const r of Object.keys(Effects)) {
-        roll -= Effects[r].rarity;
-        if (roll <= 0) return r;
-    }
-    throw new Error();
-};
-
-/**
- *  @param {Direction} direction
- * @returns {Direction}
- *  */
-const opposite = (direction) => {
-    if (direction === "NORTH") return "SOUTH";
-    if (direction === "NORTH_EAST") return "SOUTH_WEST";
-    if (direction === "SOUTH_EAST") return "NORTH_WEST";
-    if (direction === "SOUTH") return "NORTH";
-    if (direction === "SOUTH_WEST") return "NORTH_EAST";
-    if (direction === "NORTH_WEST") return "SOUTH_EAST";
-    throw new Error();
-}
-
-/**
- *  @param {Coord} position
- *  @param {Direction} direction
- *  @param {Room} draftRoom
- *  */
-const generateHallway = (position, direction, draftRoom) => {
-    const chance = 0.4;
-    const neighborPos = tileTowards(position, direction);
-    if (gameState.validCoord(neighborPos)) {
-        if (randomFloat() < chance) {
-            const neighbor = at(neighborPos);
-            if (gameState.isHiddenCoord(neighborPos)) {
-                draftRoom.hallways[direction].enabled = true;
-                draftRoom.hallways[direction].status = "unknown";
-            } else if (neighbor.hallways[opposite(direction)].enabled) {
-                draftRoom.hallways[direction].enabled = true;
-                draftRoom.hallways[direction].status = "open";
-            } else {
-                draftRoom.hallways[direction].enabled = true;
-                draftRoom.hallways[direction].status = "blocked";
-            }
-        } else {
-            draftRoom.hallways[direction].enabled = false;
-            draftRoom.hallways[direction].status = "blocked";
-        }
-    } else {
-        draftRoom.hallways[direction].enabled = false;
-        draftRoom.hallways[direction].status = "blocked";
-    }
-}
-
-/**
- *  @param {number} index
- *  @param {Direction} direction
- *  */
-const generateDraftRoom = (index, direction) => {
-    const purpose = randomRoomPurpose();
-    const room = gameState.draft.options[index];
-    room.events = {
-        enter: purpose,
-        exit: "noop",
-        use: "noop",
-    };
-    if (purpose === "extraKey") {
-        room.items.push("keys");
-    } else {
-        room.items.length = 0;
-    }
-
-    DIRECTION_VALUES.forEach((direction) => {
-        generateHallway(gameState.draft.position, direction, room);
-    });
-
-    room.hallways[opposite(direction)].enabled = true;
-    room.hallways[opposite(direction)].status = "open";
-    room.needsKey = purpose !== "extraKey" && randomBool();
-    room.coord.row = -1;
-    room.coord.col = index;
-}
-
-const refreshDrafts = () => {
-    const direction = gameState.draft.direction;
-    gameState.draft.index = 0;
-    let canDraft = true;
-    do {
-        for (let i = 0; i < gameState.draft.options.length; i++) {
-            HEX_TILE_CACHE.delete(coordToString({row: -1, col: i}));
-            generateDraftRoom(i, direction);
-        }
-        canDraft = gameState.getResource("keys") !== 0 || gameState.draft.options.findIndex(room => !room.needsKey) !== -1;
-    } while (!canDraft);
-}
-
-
-let playerAnimationIsPlaying = false;
-/**
- *  @param {Direction} direction
- */
-const updatePlayerPosition = (direction) => {
-    if (!gameState.isRunning) return;
-
-    const newPosition = tileTowards(gameState.player, direction);
-    if (!gameState.validCoord(newPosition)) return;
-    if (gameState.getResource("steps") <= 0) return;
-    const hallways = at(gameState.player).hallways;
-    if (hallways[direction].enabled && hallways[direction].status !== "blocked") {
-        if (gameState.isHiddenCoord(newPosition)) {
-            gameState.draft.position = newPosition;
-            gameState.draft.direction = direction;
-            gameState.setState("draft");
-            refreshDrafts();
-        } else if (at(newPosition).hallways[opposite(direction)].enabled) {
-            at(newPosition).enter();
-            gameState.movePlayerToCoord(newPosition);
-            gameState.removeResource("steps");
-            // TODO move it from here
-            renderer.nextSprite();
-        }
-    }
-}
-
-const placeRoom = () => {
-    const newRoom = gameState.draft.options[gameState.draft.index].copy();
-    if (newRoom.needsKey && gameState.getResource("keys") === 0) {
-        return;
-    }
-    if (newRoom.needsKey) {
-        newRoom.needsKey = false;
-        gameState.removeResource("keys");
-    }
-    newRoom.coord.row = gameState.draft.position.row;
-    newRoom.coord.col = gameState.draft.position.col;
-    gameState.placeRoom(newRoom);
-    updatePlayerPosition(gameState.draft.direction);
-    gameState.draft.index = 0;
-    DIRECTION_VALUES.forEach(direction => {
-        const neighborPos = tileTowards(gameState.draft.position, direction);
-        if (gameState.validCoord(neighborPos) && gameState.isRevealedCoord(neighborPos)) {
-            const neighbor = at(neighborPos);
-            if (!newRoom.hallways[direction].enabled && neighbor.hallways[opposite(direction)].enabled) {
-                neighbor.hallways[opposite(direction)].status = "blocked";
-            } else if (newRoom.hallways[direction].enabled && neighbor.hallways[opposite(direction)].enabled) {
-                neighbor.hallways[opposite(direction)].status = "open";
-            }
-        }
-    });
-    gameState.setState("move");
-};
-
-/**@param {number} delta - the delta time since last update call */
-const update = (delta) => {
-    for (const tween of animations) {
-        if (tween.active) {
-            tween.update(delta);
-        }
-    }
-    animations = animations.filter((t) => t.active);
-    // gameState.mouseGridRow = -1;
-    // gameState.mouseGridCol = -1;
-};
-
-class Renderer {
-    /** @type {Record<string, Rectangle>} */
-    layout;
-
-    /**
-     * @type {Point2D}
-     */
-    mousePosition;
+    mousePosition;
 
     /**
      * @type {number}
@@ -1504,6 +541,7 @@ class Renderer {
 
     useSprites = false;
     displayHallways = true;
+    displayDeck = false;
 
     constructor() {
         this.mousePosition = {x: -1, y: -1};
@@ -1592,7 +630,11 @@ const renderHallway = (hallway, midX, midY, r, direction) => {
         "unknown": {
             factor: 0.75,
             color: "#A6835B",
-        }
+        },
+        "locked": {
+            factor: 1,
+            color: CSS_COLOR_NAMES.Goldenrod,
+        },
     }
     const hallwayLength = Math.sqrt(3) * r / 2;
     const factor = options[hallway.status].factor;
@@ -1610,9 +652,25 @@ const renderHallway = (hallway, midX, midY, r, direction) => {
         context.fillRect(-width / 2, -height, width, height);
         context.restore();
     };
-    drawRotatedRect(midX, midY, r / 5, hallwayLength * factor, DIRECTION_VALUES.indexOf(direction) * Math.PI / 3);
+    const angle = DIRECTION_VALUES.indexOf(direction) * Math.PI / 3;
+    drawRotatedRect(midX, midY, r / 5, hallwayLength * factor, angle);
+    if (hallway.status === "locked" && hallway.lock) {
+        // the padlock halfway along, with what opens it unless it is a key
+        const distance = hallwayLength * 0.6;
+        context.font = `${r / 4}px monospace`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = "white";
+        context.fillText(lockText(hallway.lock), midX + Math.sin(angle) * distance, midY - Math.cos(angle) * distance);
+    }
 };
 
+/**
+ * @param {{item: Item, amount: number}} lock
+ * @return {string} the padlock, followed by its cost when a key does not open it
+ */
+const lockText = ({item, amount}) => item === "keys" ? ItemTexts.lock : `${ItemTexts.lock}${amount}${ItemTexts[item]}`;
+
 /**
  *
  * @param {number} cx
@@ -1627,7 +685,7 @@ const renderHexRoom = (cx, cy, r, room, borders = false) => {
             renderHexTileImage(cx, cy, r, room.coord, room.events["enter"]);
         } else {
             renderHexagon(cx, cy, r, {
-                fill: ROOM_COLORS[room.events.enter],
+                fill: Effects[room.events.enter].color,
                 ...(borders && {border: CSS_COLOR_NAMES.Wheat, borderWidth: 3}),
             });
         }
@@ -1637,6 +695,16 @@ const renderHexRoom = (cx, cy, r, room, borders = false) => {
             });
             renderCircle(cx, cy, r / 5, {fill: CSS_COLOR_NAMES.Lavender, border: "black", borderWidth: 0.5});
         }
+        if (room.items.length > 0) {
+            // the items lying in the room, gone once picked up
+            context.font = `${r / 3}px monospace`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(room.items.map(({item}) => ItemTexts[item]).join(""), cx, cy + r / 2);
+        }
+        if (room.fragment) {
+            renderFragment(cx, cy, r, room.fragment);
+        }
     } else if (DEBUG_MODE) {
         renderHexagon(cx, cy, r, undefined,
             {
@@ -1763,6 +831,9 @@ const renderMovement = (width, height) => {
 
     let idx = 2;
     inputHandler.hotkeysByScope.forEach((inputs, scope) => {
+        if (scope !== "global" && scope !== activeScope()) {
+            return;
+        }
         idx += 1;
         context.fillText(`${scope.substring(0, 1).toUpperCase() + scope.substring(1)} keys:`, 0, idx * smallFontSize);
         inputs.forEach((input) => {
@@ -1773,6 +844,58 @@ const renderMovement = (width, height) => {
     });
 };
 
+/** @type {Record<DraftRuleOutcome, {icon: string, color: string}>} */
+const DraftRuleOutcomeStyles = {
+    held: {icon: "✔", color: "gray"},
+    fired: {icon: "⚙", color: CSS_COLOR_NAMES.Orange},
+    failed: {icon: "✖", color: CSS_COLOR_NAMES.FireBrick},
+};
+
+/**
+ * Debug view: lists the draft constraints, and what each did on the current draft.
+ * @param {number} width
+ * @param {number} height
+ */
+const renderDraftReport = (width, height) => {
+    if (gameState.getState() !== "draft") return;
+    const fontSize = getFontSizeInPixels("sm");
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    context.font = `${fontSize}px monospace`;
+    gameState.draftReport.forEach(({name, outcome}, idx) => {
+        const {icon, color} = DraftRuleOutcomeStyles[outcome];
+        context.fillStyle = color;
+        context.fillText(`${icon} ${name} (${outcome})`, 5, (idx + 2) * fontSize);
+    });
+};
+
+/**
+ * Lists the rooms left in the deck of the run, by type, in place of the controls.
+ * @param {number} width
+ * @param {number} height
+ */
+const renderDeck = (width, height) => {
+    const deck = gameState.draft.deck;
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = "white";
+    context.font = `${getFontSizeInPixels("xl")}px monospace`;
+    context.fillText("Deck", width / 2, 0);
+
+    const smallFontSize = getFontSizeInPixels("sm");
+    context.textAlign = "left";
+    context.font = `${smallFontSize}px monospace`;
+    context.fillText(deck.length > 0 ? `${deck.length} rooms left` : "Empty, a new deck comes next", 0, 3 * smallFontSize);
+    /** @type {EffectType[]} */ (Object.keys(Effects))
+        .filter(type => Effects[type].copies > 0 && (!Effects[type].unlock || gameState.unlocks.includes(Effects[type].unlock)))
+        .forEach((type, idx) => {
+            const count = deck.filter(purpose => purpose === type).length;
+            context.fillStyle = count > 0 ? "white" : "gray";
+            const once = Effects[type].oncePerRun ? " (once per run)" : "";
+            context.fillText(`${count} × ${Effects[type].name}${once}`, smallFontSize, (idx + 5) * smallFontSize);
+        });
+};
+
 /**
  *
  * @param {number} startX
@@ -1805,85 +928,57 @@ const renderWavyLine = (startX, startY, endX, endY, periods, amplitude) => {
     context.restore();
 };
 
-/** @type {Map<string, PuzzlePiece>} */
-const randomSymbolCache = new Map();
-
-/**
- *
- * @param {string} coords
- * @param {string[]} symbols
- * @param {string[]} altSymbols
- * @return {PuzzlePiece}
- */
-const calculateIfAbsent = (coords, symbols, altSymbols) => {
-    /** {@type {PuzzlePiece} */
-    let value = randomSymbolCache.get(coords);
-    if (!value) {
-        const lineTypes = ["straight", "wavy", "dotted", "dashed"];
-        value = {
-            //fillColor: randomColor(),
-            fillColor: randomElement(Object.values(ROOM_COLORS)),
-            innerSymbol: randomElement(symbols),
-            outerSymbol: randomElement(altSymbols),
-            lineType: randomElement(lineTypes),
-        };
-        randomSymbolCache.set(coords, value);
-    }
-    return value;
-}
+/** @type {Record<LineType, string>} */
+const LineTypeTexts = {
+    "straight": "━",
+    "wavy": "〰",
+    "dotted": "┈",
+    "dashed": "╌",
+};
 
 /**
+ * Draws a puzzle piece, with the parts it lacks left blank.
  * @param {number} cx
  * @param {number} cy
  * @param {number} r
+ * @param {Partial<PuzzlePiece>} piece
  */
-const renderPuzzle = (cx, cy, r) => {
-
-    const lineLength = r / 8;
-    const spaceLength = r / 16;
+const renderPuzzle = (cx, cy, r, piece) => {
     context.lineCap = 'round';
-    const symbols = Object.values(SymbolTexts);
-    const altSymbols = Object.values(AltSymbolTexts);
-
-    const coords = coordToString(gameState.player);
-    const randomSymbols = calculateIfAbsent(coords, symbols, altSymbols);
+    renderHexagon(cx, cy, r, {
+        fill: piece.fillColor ? PuzzleColors[piece.fillColor] : CSS_COLOR_NAMES.DimGray,
+        border: "white",
+        borderWidth: 2,
+    });
 
-    if (context !== null) {
-        renderHexTileImage(cx, cy, r, gameState.player, gameState.playerRoom.events["enter"]);
-        return;
+    if (piece.outerSymbol) {
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 180 * (60 * i + 30);
+            const x = cx + 0.6 * r * Math.cos(angle);
+            const y = cy + 0.6 * r * Math.sin(angle);
+            context.font = `${getFontSizeInPixels("xs")}px monospace`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillStyle = "white";
+            context.fillText(`${AltSymbolTexts[piece.outerSymbol]}`, x, y);
+        }
     }
 
-    // temporarily disabled without linter complaints
-    renderHexagon(cx, cy, r, {fill: randomSymbols.fillColor, border: "white", borderWidth: 2});
-
-    context.setLineDash([lineLength, spaceLength]);
-    for (let i = 0; i < 6; i++) {
-        const angle = Math.PI / 180 * (60 * i + 30);
-        const x = cx + 0.6 * r * Math.cos(angle);
-        const y = cy + 0.6 * r * Math.sin(angle);
-        context.font = `${getFontSizeInPixels("sm")}px monospace`;
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillStyle = "white";
-        context.fillText(`${randomSymbols.outerSymbol}`, x, y);
-    }
-
-    context.setLineDash([]);
-    context.strokeStyle = "white";
-    for (let i = 0; i < 6; i++) {
-        const angle = Math.PI / 180 * (60 * i);
+    context.strokeStyle = "white";
+    for (let i = 0; piece.lineType && i < 6; i++) {
+        const angle = Math.PI / 180 * (60 * i);
 
         const startX = cx + 1.5 * getFontSizeInPixels("xs") * Math.cos(angle);
         const startY = cy + 1.5 * getFontSizeInPixels("xs") * Math.sin(angle);
         const endX = cx + r * Math.cos(angle);
         const endY = cy + r * Math.sin(angle);
 
-        if (randomSymbols.lineType === "wavy") {
+        if (piece.lineType === "wavy") {
             renderWavyLine(startX, startY, endX, endY, 5, getFontSizeInPixels("xs") / 2);
         } else {
-            switch (randomSymbols.lineType) {
+            context.lineWidth = getFontSizeInPixels("xs") / 5;
+            switch (piece.lineType) {
                 case "straight": {
-                    context.lineWidth = getFontSizeInPixels("xs") / 5;
                     context.setLineDash([]);
                     break;
                 }
@@ -1907,33 +1002,40 @@ const renderPuzzle = (cx, cy, r) => {
     context.font = `${getFontSizeInPixels("sm")}px monospace`;
     context.textAlign = 'center';
     context.textBaseline = 'middle';
-    //const symbol = symbols[4];
-    context.fillText(`${randomSymbols.innerSymbol}`, cx, cy);
+    context.fillStyle = "black";
+    context.fillText(piece.innerSymbol ? `${SymbolTexts[piece.innerSymbol]}` : "?", cx, cy);
 };
 
+/**
+ * Draws the puzzle fragment lying in a room, over its tile.
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r - radius of the room
+ * @param {PuzzleFragment} fragment
+ */
+const renderFragment = (cx, cy, r, fragment) => {
+    const y = cy - r / 2;
+    if (fragment.aspect === "fillColor") {
+        renderHexagon(cx, y, r / 6, {fill: PuzzleColors[fragment.value], border: "white", borderWidth: 1});
+        return;
+    }
+    const texts = {innerSymbol: SymbolTexts, outerSymbol: AltSymbolTexts, lineType: LineTypeTexts};
+    context.font = `${r / 3}px monospace`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = "white";
+    context.fillText(texts[fragment.aspect][fragment.value], cx, y);
+};
 
 /** @type {Map<string, Coord>} */
 const HEX_TILE_CACHE = new Map();
 
-/** @type {Record<string, Coord[]>} */
-const HEX_TILE_OPTIONS = {
-    "extraSteps": [{row: 3, col: 4}],
-    "extraKey": [{row: 3, col: 6}],
-    "money": [{row: 2, col: 6}],
-    "taxes": [{row: 1, col: 2}],
-    "garden": [{row: 4, col: 7}],
-    "shop": [{row: 1, col: 0}],
-    "start": [{row: 4, col: 7}],
-    "exit": [{row: 2, col: 7}],
-    "noop": [{row: 0, col: 0}],
-};
-
 /**
  * @param {number} cx
  * @param {number} cy
  * @param {number} r
  * @param {Coord} coord
- * @param {RoomEvent} purpose
+ * @param {EffectType} purpose
  */
 const renderHexTileImage = (cx, cy, r, coord, purpose) => {
     const tx = renderer.spriteWidth / 2;
@@ -1957,7 +1059,7 @@ const renderHexTileImage = (cx, cy, r, coord, purpose) => {
         spriteCol = tile.col;
     } else {
         /** @type {Coord} */
-        const randomTile = randomElement(HEX_TILE_OPTIONS[purpose]);
+        const randomTile = randomElement(Effects[purpose].tiles, cosmeticRng());
         spriteRow = randomTile.row;
         spriteCol = randomTile.col;
         HEX_TILE_CACHE.set(coordStr, randomTile);
@@ -1995,17 +1097,101 @@ const renderResources = (width, height) => {
         texts.push(`\u2022 ${ItemTexts[type]} ${type.substring(0, 1).toUpperCase() + type.substring(1)}: ${count}`);
     }
 
+    const {exitSteps} = analyzeReachability(gameState);
+    texts.push(exitSteps === -1 ? "\u2022 🚪 Exit: out of reach" : `\u2022 🚪 Exit: ${exitSteps}+ ${ItemTexts.steps} away`);
+    texts.push(`\u2022 🌱 Seed: ${gameState.seed}`);
+    if (gameState.undosLeft !== 0) {
+        texts.push(`\u2022 \u21B6 Undos: ${gameState.undosLeft === -1 ? "\u221E" : gameState.undosLeft}`);
+    }
+
     texts.forEach((text, idx) => {
         context.fillText(text, width / 2.5, (idx + 1) * getFontSizeInPixels("lg"));
     });
 
-    const unitWidth = width / 2;
-    const unitHeight = height / 5;
+    // the exit seal next to the piece the player put together
+    const {solution, pieces} = gameState.puzzle;
+    const r = width * 0.18;
+    const cy = height * 0.68;
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillStyle = "white";
+    context.font = `${getFontSizeInPixels("sm")}px monospace`;
+    context.fillText("Exit seal", width * 0.28, cy - 1.2 * r);
+    context.fillText(gameState.isPuzzleSolved ? "Yours ✔" : "Yours", width * 0.72, cy - 1.2 * r);
+    renderPuzzle(width * 0.28, cy, r, solution);
+    renderPuzzle(width * 0.72, cy, r, pieces);
+};
+
+/**
+ * Size of the hexagons and where the board starts, so that the whole board fits centered into the grid area.
+ * @typedef {Object} BoardGeometry
+ * @property {number} r - Radius of the hexagons.
+ * @property {number} offsetX - Horizontal space left of the board.
+ * @property {number} offsetY - Vertical space above the board.
+ */
+
+/**
+ * @param {number} width - width of the grid area
+ * @param {number} height - height of the grid area
+ * @return {BoardGeometry}
+ */
+const getBoardGeometry = (width, height) => {
+    const boardWidth = 1.5 * gameState.cols + 0.5;
+    const boardHeight = (gameState.rows + 0.5) * Math.sqrt(3);
+    const r = Math.min(width / boardWidth, height / boardHeight);
+    return {r, offsetX: (width - boardWidth * r) / 2, offsetY: (height - boardHeight * r) / 2};
+};
+
+/**
+ * @param {Coord} coord
+ * @param {BoardGeometry} geometry
+ * @return {Point2D} center of the tile at the given coord, relative to the grid
+ */
+const getTileCenter = (coord, geometry) => {
+    const {r, offsetX, offsetY} = geometry;
+    const hexHeight = Math.sqrt(3) * r;
+    const rowOffset = hexHeight / 2;
+    //Shift items in even columns 1 unit down. Center is offset as well.
+    const colOffsetY = ((coord.col % 2) + 1) * rowOffset;
+    return {x: offsetX + (1.5 * coord.col + 1) * r, y: offsetY + (coord.row * hexHeight) + colOffsetY};
+};
+
+/**
+ * Draws the route a click on the hovered room would walk, and how many steps it costs.
+ * @param {BoardGeometry} geometry
+ */
+const renderTravelPreview = (geometry) => {
+    if (gameState.getState() !== "move" || travelRoute.length > 0) return;
+    const target = {row: gameState.mouseGridRow, col: gameState.mouseGridCol};
+    const route = findPath(gameState, target);
+    if (!route || route.length < 2) return;
+
+    const affordable = route.length <= gameState.getResource("steps");
+    const color = affordable ? CSS_COLOR_NAMES.Wheat : CSS_COLOR_NAMES.Red;
+    const r = geometry.r;
+    let coord = gameState.player;
+    const start = getTileCenter(coord, geometry);
+    context.save();
+    context.globalAlpha = selectionAlpha;
+    context.strokeStyle = color;
+    context.lineWidth = getFontSizeInPixels("xs") / 2;
+    context.setLineDash([getFontSizeInPixels("xs"), getFontSizeInPixels("xs") / 2]);
+    context.beginPath();
+    context.moveTo(start.x, start.y);
+    route.forEach(direction => {
+        coord = tileTowards(coord, direction);
+        const center = getTileCenter(coord, geometry);
+        context.lineTo(center.x, center.y);
+    });
+    context.stroke();
+    context.restore();
 
-    const cx = unitWidth;
-    const cy = 3 * unitHeight;
-    const r = unitWidth * 0.5;
-    renderPuzzle(cx, cy, r);
+    const end = getTileCenter(target, geometry);
+    context.textAlign = 'center';
+    context.textBaseline = 'bottom';
+    context.fillStyle = color;
+    context.font = `${getFontSizeInPixels("sm")}px monospace`;
+    context.fillText(`${route.length} ${ItemTexts.steps}`, end.x, end.y - r / 3);
 };
 
 /**
@@ -2018,21 +1204,21 @@ const renderHexGrid = (width, height) => {
     context.lineWidth = getFontSizeInPixels("xs") / 5;
     const cols = gameState.cols;
     const rows = gameState.rows;
-    const unitWidth = width / 10;
-    const r = unitWidth / 2;
+    const geometry = getBoardGeometry(width, height);
+    const r = geometry.r;
 
     const spacing = 1;
 
     for (let row = 0; row < rows; row++) {
         for (let col = 0; col < cols; col++) {
-            const hexHeight = Math.sqrt(3) * r;
-            const rowOffset = hexHeight / 2;
-            const cx = (1.5 * col + 1) * r;
-            //Shift items in even columns 1 unit down. Center is offset as well.
-            const offsetY = ((col % 2) + 1) * rowOffset;
-            const cy = (row * hexHeight) + offsetY;
+            const {x: cx, y: cy} = getTileCenter({row, col}, geometry);
             renderHexRoom(spacing * cx, spacing * cy, r, gameState.at(row, col));
-            //renderPuzzle(cx, cy, r);
+            if (gameState.isExitCoord({row, col}) && !gameState.isPuzzleSolved) {
+                context.font = `${r / 2}px monospace`;
+                context.textAlign = 'center';
+                context.textBaseline = 'middle';
+                context.fillText(ItemTexts.lock, spacing * cx, spacing * cy);
+            }
             if (row === gameState.player.row && col === gameState.player.col) {
                 //player, TODO animation
                 renderCircle(spacing * cx, spacing * cy, getFontSizeInPixels("xs"), {fill: PLAYER_COLOR});
@@ -2056,25 +1242,65 @@ const renderHexGrid = (width, height) => {
                 if (gameState.getState() === "move" && gameState.canPlayerDraftTowards(getDirection(gameState.player, currentCoord))) {
                     context.save();
                     context.globalAlpha = selectionAlpha;
-                    renderHexagon(spacing * cx, spacing * cy, 0.75 * r, {fill: ROOM_COLORS.draft});
+                    renderHexagon(spacing * cx, spacing * cy, 0.75 * r, {fill: DRAFT_COLOR});
                     context.restore();
                 }
             }
 
             if (gameState.getState() === "draft" && row === gameState.draft.position.row && col === gameState.draft.position.col) {
                 context.save();
-                context.fillStyle = ROOM_COLORS.draft;
+                context.fillStyle = DRAFT_COLOR;
                 context.globalAlpha = selectionAlpha;
                 renderHexRoom(spacing * cx, spacing * cy, 0.75 * r, gameState.draft.options[gameState.draft.index]);
                 context.restore();
             }
         }
     }
+    renderPlacementPreview(geometry);
+    renderTravelPreview(geometry);
 }
 
 let selectionAlpha = 1;
 let refreshRotation = 0;
 
+/**
+ * The preview of the selected draft option, with the draft it has been computed for.
+ * @type {{key: string, preview: PlacementPreview} | null}
+ */
+let placementPreview = null;
+
+/**
+ * @return {PlacementPreview} what placing the selected draft option would change, computed once per draft change
+ */
+const currentPlacementPreview = () => {
+    const key = JSON.stringify([gameState.player, gameState.draft]);
+    if (placementPreview?.key !== key) {
+        placementPreview = {key, preview: previewPlacement(gameState)};
+    }
+    return placementPreview.preview;
+};
+
+/**
+ * Shows on the grid what placing the selected draft option would change: the neighbor hallways it would open or block,
+ * and the hidden tiles it would lead to.
+ * @param {BoardGeometry} geometry
+ */
+const renderPlacementPreview = (geometry) => {
+    if (gameState.getState() !== "draft") return;
+    const {hallways, reachable} = currentPlacementPreview();
+    context.save();
+    context.globalAlpha = selectionAlpha;
+    hallways.forEach(({coord, direction, status}) => {
+        const {x, y} = getTileCenter(coord, geometry);
+        renderHallway({enabled: true, status}, x, y, geometry.r, direction);
+    });
+    reachable.forEach(coord => {
+        const {x, y} = getTileCenter(coord, geometry);
+        renderHexagon(x, y, 0.5 * geometry.r, {border: DRAFT_COLOR, borderWidth: 2});
+    });
+    context.restore();
+};
+
 /**
  * Converts mouse coordinates to grid coordinates for flat-topped hexes
  * with even columns shifted down and origin at (r, r).
@@ -2155,6 +1381,22 @@ const renderCircle = (cx, cy, r, colors) => {
     context.restore();
 };
 
+/**
+ * Tells the player what using the room they stand in would do, while they are not drafting.
+ * @param {number} width
+ * @param {number} height
+ */
+const renderUsePrompt = (width, height) => {
+    const use = describeRoomUse(gameState);
+    if (use === null || replayViewer.active) return;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = use.affordable ? "white" : CSS_COLOR_NAMES.Gray;
+    context.font = `${getFontSizeInPixels("md")}px monospace`;
+    const suffix = use.affordable ? "" : " (you cannot afford it)";
+    context.fillText(`[Space] Use the ${use.name}: ${use.description}${suffix}`, width / 2, height / 2);
+};
+
 /**
  *
  * @param {number} width
@@ -2167,7 +1409,8 @@ const renderHexDraft = (width, height) => {
     const unitHeight = height / 2;
 
     for (let idx = 0; idx < gameState.draft.options.length; ++idx) {
-        const col = (3 * idx + 4.5);
+        // centered, 3 units apart whatever the number of options
+        const col = 7.5 + 3 * (idx - (gameState.draft.options.length - 1) / 2);
         const draftedRoom = gameState.draft.options[idx];
 
         const cx = col * unitWidth;
@@ -2176,34 +1419,42 @@ const renderHexDraft = (width, height) => {
 
         renderHexRoom(cx, cy, r, draftedRoom, true);
         if (idx === gameState.draft.index) {
-            if (Effects[draftedRoom.events.enter].description !== "noop") {
-                const textY = (row + 1.25) * unitHeight;
-                context.textAlign = 'center';
-                context.textBaseline = 'middle';
-                context.fillStyle = "white";
-                context.font = `${getFontSizeInPixels("sm")}px monospace`;
-                context.fillText(Effects[draftedRoom.events.enter].description, cx, textY);
+            const {name, description} = Effects[draftedRoom.events.enter];
+            const {leaveDescription} = Effects[draftedRoom.events.exit];
+            const {useDescription} = Effects[draftedRoom.events.use];
+            const texts = [
+                description,
+                leaveDescription && `On leaving: ${leaveDescription}`,
+                useDescription && `[Space] ${useDescription}`,
+            ].filter(text => text !== "");
+            const textY = (row + 1.25) * unitHeight;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillStyle = "white";
+            context.font = `${getFontSizeInPixels("sm")}px monospace`;
+            const title = draftedRoom.shape ? `${name} (${ROOM_SHAPES[draftedRoom.shape].name})` : name;
+            context.fillText(texts.length > 0 ? `${title}: ${texts.join(" ")}` : title, cx, textY);
+            const {exitReachable, deadEnd} = currentPlacementPreview();
+            const warnings = [
+                !exitReachable && "⚠ The exit would be out of reach.",
+                deadEnd && "⚠ Dead end: it leads nowhere else.",
+            ].filter(Boolean);
+            if (warnings.length > 0) {
+                context.fillStyle = CSS_COLOR_NAMES.Orange;
+                context.fillText(warnings.join(" "), cx, textY + 1.3 * getFontSizeInPixels("sm"));
             }
 
-            if (draftedRoom.needsKey) {
+            const door = draftedRoom.hallways[opposite(gameState.draft.direction)];
+            if (door.status === "locked") {
                 const iconX = (col - 1.25) * unitWidth;
                 const iconY = unitHeight;
                 context.font = `${getFontSizeInPixels("lg")}px monospace`;
                 context.textAlign = 'center';
                 context.textBaseline = 'middle';
-                context.fillText(ItemTexts.lock, iconX, iconY);
-            }
-
-            if (draftedRoom.items.includes("keys")) {
-                const iconX = (col + 1.25) * unitWidth;
-                const iconY = unitHeight;
-                context.font = `${getFontSizeInPixels("lg")}px monospace`;
-                context.textAlign = 'center';
-                context.textBaseline = 'middle';
-                context.fillText(ItemTexts.keys, iconX, iconY);
+                context.fillText(lockText(door.lock), iconX, iconY);
             }
 
-            const closedRoom = draftedRoom.needsKey && gameState.getResource("keys") === 0;
+            const closedRoom = door.status === "locked" && !canOpenLock(gameState, door.lock);
             context.save();
             context.globalAlpha = selectionAlpha;
             renderHexagon(cx, cy, 1.2 * r, {border: closedRoom ? "red" : "yellow", borderWidth: 6});
@@ -2211,7 +1462,8 @@ const renderHexDraft = (width, height) => {
         }
     }
 
-    if (gameState.getResource("gems") >= 2) {
+    const hasReroll = gameState.getResource("rerolls") > 0;
+    if (hasReroll || gameState.getResource("gems") >= 2) {
         const arrowX = (14.5 * unitWidth);
         const arrowY = unitHeight;
         drawRefreshArrow(arrowX, arrowY, unitHeight / 3);
@@ -2219,7 +1471,7 @@ const renderHexDraft = (width, height) => {
         context.textBaseline = 'middle';
         context.fillStyle = "white";
         context.font = `${getFontSizeInPixels("sm")}px monospace`;
-        context.fillText(`2\u00d7${ItemTexts.gems}`, 14.5 * unitWidth, unitHeight);
+        context.fillText(hasReroll ? `1\u00d7${ItemTexts.rerolls}` : `2\u00d7${ItemTexts.gems}`, 14.5 * unitWidth, unitHeight);
         context.fillText("[R]", 14.5 * unitWidth, 2 * unitHeight);
     }
 }
@@ -2234,17 +1486,216 @@ const renderHints = (width, height) => {
     context.fillStyle = "white";
     context.font = `${getFontSizeInPixels("sm")}px monospace`;
     const texts = [
-        "Draft rooms by selecting an option and press [Space] or [Enter].",
-        "Some rooms are locked behind a key, so look out for them to help on your journey!",
+        "Draft rooms by selecting an option and press [Space] or [Enter]. Turn it first with [Q] and [E], or the mouse wheel.",
+        "Some rooms can be used: press [Space] or click the room you stand in. Shops sell their wares for 💎 gems.",
+        "Some doors are locked: a key (or a 🔧 tool) opens them, the golden ones of the vaults take 💎 gems instead.",
         "Different rooms can help or hinder you. Gems help you refresh your draft options. Spend them wisely!",
         "Red paths are blocked from the other side. Gray ones are yet unvisited, while whites are already known.",
+        "The exit is sealed: use rooms with symbol fragments until your piece matches the exit seal.",
         "Do not be afraid to explore for additional resources!"
     ];
+    const lineHeight = Math.min(getFontSizeInPixels("lg"), (height - getFontSizeInPixels("xs")) / texts.length);
     texts.forEach((text, idx) => {
-        context.fillText(text, width / 2, idx * getFontSizeInPixels("lg") + getFontSizeInPixels("xs"));
+        context.fillText(text, width / 2, idx * lineHeight + getFontSizeInPixels("xs"));
+    });
+};
+
+/**
+ * Highlighted entry of the shop screen: one of the offers, or leaving after them.
+ * @type {number}
+ */
+let shopIndex = 0;
+
+/**
+ * Where the entries of the shop screen have been drawn last time, used for hit-testing the mouse.
+ * @type {Rectangle[]}
+ */
+let shopEntryRects = [];
+
+/**
+ * Buys the offer of the shop screen at the given entry, or leaves the shop for the entry after the offers.
+ * @param {number} index
+ */
+const chooseShopEntry = (index = shopIndex) => {
+    if (index >= gameState.playerRoom.offers.length) {
+        session.closeShop();
+    } else {
+        session.buy(index);
+    }
+};
+
+/**
+ * Draws the offers of the shop the player stands in over the grid, while they are shopping.
+ */
+const renderShop = () => {
+    if (gameState.getState() !== "shop" || activeMenu) return;
+    const offers = describeShopOffers(gameState);
+    shopIndex = clamp(shopIndex, 0, offers.length);
+    const {x, y, width, height} = renderer.layout.grid;
+    const lineHeight = getFontSizeInPixels("lg") * 1.5;
+    const boxWidth = width * 0.7;
+    const boxHeight = (offers.length + 3.5) * lineHeight;
+    const boxX = x + (width - boxWidth) / 2;
+    const boxY = y + (height - boxHeight) / 2;
+
+    const {name, color} = Effects[gameState.playerRoom.events.enter];
+    context.fillStyle = "#2B2B2B";
+    context.strokeStyle = color;
+    context.lineWidth = getFontSizeInPixels("xs") / 5;
+    context.fillRect(boxX, boxY, boxWidth, boxHeight);
+    context.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = "white";
+    context.font = `${getFontSizeInPixels("lg")}px monospace`;
+    context.fillText(name, boxX + boxWidth / 2, boxY + lineHeight / 2);
+    context.font = `${getFontSizeInPixels("sm")}px monospace`;
+    const left = shopPurchasesLeft(gameState);
+    const stock = left === -1 ? "" : left === 0 ? " Sold out." : ` It sells ${left} more.`;
+    context.fillText(`You have ${gameState.getResource("gems")} ${ItemTexts.gems}.${stock}`, boxX + boxWidth / 2, boxY + 1.2 * lineHeight);
+
+    const labels = [
+        ...offers.map(({name, description, price}) => `${name}, ${description}: ${price} ${ItemTexts.gems}`),
+        "Leave",
+    ];
+    shopEntryRects = labels.map((label, idx) => {
+        /** @type {Rectangle} */
+        const rect = {
+            x: boxX + lineHeight / 2,
+            y: boxY + (idx + 1.75) * lineHeight,
+            width: boxWidth - lineHeight,
+            height: lineHeight * 0.8,
+        };
+        if (idx === shopIndex) {
+            context.save();
+            context.globalAlpha = selectionAlpha;
+            context.strokeStyle = "yellow";
+            context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            context.restore();
+        }
+        context.fillStyle = idx < offers.length && !offers[idx].affordable ? CSS_COLOR_NAMES.Gray : "white";
+        context.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+        return rect;
+    });
+};
+
+/**
+ * Draws the active menu over the whole play area.
+ */
+const renderMenu = () => {
+    if (!activeMenu) return;
+    const {x, y, width, height} = renderer.playArea;
+    context.save();
+    context.globalAlpha = 0.75;
+    context.fillStyle = CLEAR_COLOR;
+    context.fillRect(0, 0, renderer.canvasWidth, renderer.canvasHeight);
+    context.restore();
+
+    const lineHeight = getFontSizeInPixels("lg") * 1.5;
+    const infoLineHeight = getFontSizeInPixels("sm") * 1.4;
+    const textLines = activeMenu.text !== undefined ? 1 : 0;
+    const infoHeight = activeMenu.lines.length * infoLineHeight;
+    const boxWidth = width / 2;
+    const boxHeight = (activeMenu.entries.length + textLines + 2) * lineHeight + infoHeight;
+    const boxX = x + (width - boxWidth) / 2;
+    const boxY = y + (height - boxHeight) / 2;
+
+    context.fillStyle = "#2B2B2B";
+    context.strokeStyle = CSS_COLOR_NAMES.Wheat;
+    context.lineWidth = getFontSizeInPixels("xs") / 5;
+    context.fillRect(boxX, boxY, boxWidth, boxHeight);
+    context.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = "white";
+    context.font = `${getFontSizeInPixels("lg")}px monospace`;
+    context.fillText(activeMenu.title, boxX + boxWidth / 2, boxY + lineHeight / 2);
+
+    context.font = `${getFontSizeInPixels("sm")}px monospace`;
+    activeMenu.lines.forEach((line, idx) => {
+        context.fillText(line, boxX + boxWidth / 2, boxY + 1.25 * lineHeight + (idx + 0.5) * infoLineHeight);
+    });
+    if (activeMenu.text !== undefined) {
+        const fieldY = boxY + 1.5 * lineHeight + infoHeight;
+        context.fillStyle = CLEAR_COLOR;
+        context.fillRect(boxX + lineHeight / 2, fieldY, boxWidth - lineHeight, lineHeight * 0.8);
+        context.fillStyle = "white";
+        const caret = selectionAlpha > 0.5 ? "_" : " ";
+        context.fillText(`${activeMenu.text}${caret}`, boxX + boxWidth / 2, fieldY + lineHeight * 0.4);
+    }
+    activeMenu.entryRects = activeMenu.entries.map((entry, idx) => {
+        /** @type {Rectangle} */
+        const rect = {
+            x: boxX + lineHeight / 2,
+            y: boxY + (idx + textLines + 1.5) * lineHeight + infoHeight,
+            width: boxWidth - lineHeight,
+            height: lineHeight * 0.8,
+        };
+        if (idx === activeMenu.index) {
+            context.save();
+            context.globalAlpha = selectionAlpha;
+            context.strokeStyle = "yellow";
+            context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            context.restore();
+        }
+        context.fillStyle = entry.disabled ? CSS_COLOR_NAMES.Gray : "white";
+        context.fillText(entry.label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+        return rect;
     });
 };
 
+/**
+ * @return {Rectangle} where the progress bar of the replay viewer is drawn, relative to the footer
+ */
+const getReplayBarRect = () => {
+    const {width, height} = renderer.layout.footer;
+    return {x: width / 8, y: height / 2, width: width * 3 / 4, height: height / 6};
+};
+
+/**
+ * Draws the controls of the replay viewer, in place of the hints.
+ * @param {number} width
+ * @param {number} height
+ */
+const renderReplayBar = (width, height) => {
+    const bar = getReplayBarRect();
+    const progress = replayViewer.length === 0 ? 1 : replayViewer.step / replayViewer.length;
+
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    context.fillStyle = "white";
+    context.font = `${getFontSizeInPixels("sm")}px monospace`;
+    const status = replayViewer.playing ? "\u25B6" : "\u23F8";
+    context.fillText(
+        `Replay ${status}  step ${replayViewer.step}/${replayViewer.length}  speed ${replayViewer.speed}\u00d7  seed ${replayViewer.replay.seed}`,
+        width / 2, getFontSizeInPixels("xs"));
+
+    context.fillStyle = "#2B2B2B";
+    context.fillRect(bar.x, bar.y, bar.width, bar.height);
+    context.fillStyle = CSS_COLOR_NAMES.LightSteelBlue;
+    context.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+    context.strokeStyle = CSS_COLOR_NAMES.Wheat;
+    context.lineWidth = getFontSizeInPixels("xs") / 5;
+    context.strokeRect(bar.x, bar.y, bar.width, bar.height);
+};
+
+/**
+ * Jumps the replay viewer to the step under the mouse, if it is over the progress bar.
+ * @param {number} mouseX
+ * @param {number} mouseY
+ */
+const scrubReplay = (mouseX, mouseY) => {
+    const bar = getReplayBarRect();
+    const x = mouseX - renderer.layout.footer.x;
+    const y = mouseY - renderer.layout.footer.y;
+    if (isInside(x, y, bar)) {
+        replayViewer.playing = false;
+        replayViewer.seek((x - bar.x) / bar.width * replayViewer.length);
+    }
+};
+
 /**
  *
  * @return {Rectangle} the bounding rectangle for the render part
@@ -2345,17 +1796,12 @@ const render = () => {
     const rows = gameState.rows;
     const cols = gameState.cols;
 
-    const tileSize = Math.min(128, Math.floor(Math.min(canvas.width / cols, canvas.height / rows)));
-
-
-    const offsetX = Math.floor((canvas.width - tileSize * cols) / 2);
-    const offsetY = Math.floor((canvas.height - tileSize * rows) / 2);
-
     renderInLayout(layout.draft, renderHexDraft);
+    renderInLayout(layout.draft, renderUsePrompt);
     renderInLayout(layout.resources, renderResources);
     renderInLayout(layout.grid, renderHexGrid);
-    renderInLayout(layout.movement, renderMovement);
-    renderInLayout(layout.footer, renderHints);
+    renderInLayout(layout.movement, renderer.displayDeck ? renderDeck : renderMovement);
+    renderInLayout(layout.footer, replayViewer.active ? renderReplayBar : renderHints);
 
     if (DEBUG_MODE) {
         context.strokeStyle = CSS_COLOR_NAMES.Pink;
@@ -2369,6 +1815,7 @@ const render = () => {
             context.font = `${getFontSizeInPixels("sm")}px monospace`;
             context.fillText(`[${name}]`, rect.x + 5, rect.y + 5);
         }
+        renderInLayout(layout.grid, renderDraftReport);
     }
 
     if (gameState.lastEffect !== "noop") {
@@ -2376,19 +1823,18 @@ const render = () => {
         context.textBaseline = 'middle';
         context.fillStyle = "white";
         context.font = `${getFontSizeInPixels("sm")}px monospace`;
-        context.fillText(`${gameState.lastEffect}`, offsetX + cols * tileSize - tileSize / 2, offsetY - tileSize / 2);
+        // above the top right corner of the grid, whatever the size of the board
+        const textX = layout.grid.x + layout.grid.width + 1.5 * renderer.unitWidth;
+        const textY = layout.grid.y - 0.7 * renderer.unitWidth;
+        context.fillText(`${gameState.lastEffect}`, textX, textY);
     }
-    if (RENDER_AREA_HAS_BEEN_RESIZED) {
+    if (RENDER_AREA_HAS_BEEN_RESIZED || HEX_GRID_PATHS.size === 0) {
         HEX_GRID_PATHS.clear();
-        const r = renderer.unitWidth / 2;
+        const geometry = getBoardGeometry(layout.grid.width, layout.grid.height);
+        const r = geometry.r;
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
-                const hexHeight = Math.sqrt(3) * r;
-                const rowOffset = hexHeight / 2;
-                const cx = (1.5 * col + 1) * r;
-                //Shift items in even columns 1 unit down. Center is offset as well.
-                const offsetY = ((col % 2) + 1) * rowOffset;
-                const cy = (row * hexHeight) + offsetY;
+                const {x: cx, y: cy} = getTileCenter({row, col}, geometry);
 
                 const path = new Path2D();
                 for (let i = 0; i < 6; i++) {
@@ -2403,6 +1849,8 @@ const render = () => {
             }
         }
     }
+    renderShop();
+    renderMenu();
     RENDER_AREA_HAS_BEEN_RESIZED = false;
     return true;
 };
@@ -2422,6 +1870,28 @@ const handleMouseMove = (event) => {
         return;
     }
     renderer.mousePosition = {x: event.offsetX, y: event.offsetY};
+    if (activeMenu) {
+        const hovered = activeMenu.entryRects.findIndex(rect => isInside(event.offsetX, event.offsetY, rect));
+        if (hovered !== -1 && !activeMenu.entries[hovered].disabled) {
+            activeMenu.index = hovered;
+        }
+        canvas.style.cursor = hovered !== -1 ? "pointer" : "default";
+        return;
+    }
+    if (replayViewer.active) {
+        if (event.buttons & 1) {
+            scrubReplay(event.offsetX, event.offsetY);
+        }
+        return;
+    }
+    if (gameState.getState() === "shop") {
+        const hovered = shopEntryRects.findIndex(rect => isInside(event.offsetX, event.offsetY, rect));
+        if (hovered !== -1) {
+            shopIndex = hovered;
+        }
+        canvas.style.cursor = hovered !== -1 ? "pointer" : "default";
+        return;
+    }
     const x = event.offsetX - renderer.layout.grid.x;
     const y = event.offsetY - renderer.layout.grid.y;
     const mouseCoord = mouseToGrid(x, y);
@@ -2430,7 +1900,7 @@ const handleMouseMove = (event) => {
     if (gameState.getState() === "move" && gameState.validCoord(mouseCoord)) {
         if (gameState.canPlayerDraftTowards(getDirection(gameState.player, mouseCoord))) {
             canvas.style.cursor = "pointer";
-        } else if (areNeighbors(gameState.player, mouseCoord) && gameState.atCoord(mouseCoord).revealed) {
+        } else if (findPath(gameState, mouseCoord)?.length > 0) {
             canvas.style.cursor = "pointer";
         } else {
             canvas.style.cursor = "default";
@@ -2452,16 +1922,40 @@ const handleClick = (event) => {
     if (!renderer.isReady()) {
         return;
     }
+    if (activeMenu) {
+        const clicked = activeMenu.entryRects.findIndex(rect => isInside(event.offsetX, event.offsetY, rect));
+        if (clicked !== -1) {
+            activeMenu.choose(clicked);
+        }
+        return;
+    }
+    if (replayViewer.active) {
+        scrubReplay(event.offsetX, event.offsetY);
+        return;
+    }
+    if (gameState.getState() === "shop") {
+        const clicked = shopEntryRects.findIndex(rect => isInside(event.offsetX, event.offsetY, rect));
+        if (clicked !== -1) {
+            chooseShopEntry(clicked);
+        }
+        return;
+    }
     if (gameState.getState() === "move") {
         /**
          * @type {Coord}
          */
         const mouseCoord = {row: gameState.mouseGridRow, col: gameState.mouseGridCol};
-        if (gameState.validCoord(mouseCoord)) {
+        const route = findPath(gameState, mouseCoord);
+        if (areEqualCoords(mouseCoord, gameState.player)) {
+            session.use();
+        } else if (route?.length > 0) {
+            travelRoute = route;
+            lastTravelStepTime = -Infinity;
+        } else if (gameState.validCoord(mouseCoord)) {
             DIRECTION_VALUES.some((direction) => {
                 const neighborPos = tileTowards(gameState.player, direction);
                 if (areEqualCoords(neighborPos, mouseCoord)) {
-                    updatePlayerPosition(direction);
+                    session.move(direction);
                     return true;
                 }
                 return false;
@@ -2488,7 +1982,19 @@ const handleClick = (event) => {
 
 };
 
-/** @typedef {GameState | "global"} HotkeyScope */
+/**
+ * Turns the selected draft option with the mouse wheel, one 60° step per notch (down is clockwise).
+ * @param {WheelEvent} event
+ */
+const handleWheel = (event) => {
+    if (activeMenu || replayViewer.active || gameState.getState() !== "draft" || event.deltaY === 0) {
+        return;
+    }
+    event.preventDefault();
+    session.rotate(Math.sign(event.deltaY));
+};
+
+/** @typedef {GameState | "global" | "menu" | "replay"} HotkeyScope */
 /**
  * Represents the active state of a keyboard hotkey and its behavior in the game.
  */
@@ -2572,6 +2078,13 @@ class InputHandler {
      * @param {KeyboardEvent} event
      */
     handleKeydown = (event) => {
+        if (activeMenu?.text !== undefined && (event.key.length === 1 || event.key === "Backspace")) {
+            // the text field takes every character, even the ones bound to global hotkeys
+            event.preventDefault();
+            activeMenu.text = event.key === "Backspace" ? activeMenu.text.slice(0, -1) : activeMenu.text + event.key;
+            return;
+        }
+
         const globalHotkeys = this.hotkeysByScope.get("global") || [];
         const globalMatch = globalHotkeys.find(h => h.keys.includes(event.key));
 
@@ -2582,7 +2095,7 @@ class InputHandler {
         }
 
         // 2️⃣ Then check the active scope
-        const scopeHotkeys = this.hotkeysByScope.get(gameState.getState()) || [];
+        const scopeHotkeys = this.hotkeysByScope.get(activeScope()) || [];
         const scopeMatch = scopeHotkeys.find(h => h.keys.includes(event.key));
 
         if (scopeMatch) {
@@ -2595,59 +2108,831 @@ class InputHandler {
 /** @type {InputHandler} */
 const inputHandler = new InputHandler();
 
-let lastFrameTime = performance.now();
 /**
- *
- * @param {number} timestamp - timestamp since last call
+ * An entry of an overlay menu.
+ * @typedef {Object} MenuEntry
+ * @property {string} label - Text of the entry.
+ * @property {() => void} action - Called when the entry is chosen, after the menu has been closed.
+ * @property {boolean} [disabled] - Whether the entry is shown but cannot be chosen.
  */
-const gameLoop = (timestamp) => {
-    const delta = timestamp - lastFrameTime;
-    const fps = 1000 / delta;
-    lastFrameTime = timestamp;
-    gameState.lastTimeStamp = timestamp;
-    update(timestamp);
-    if (!render()) {
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillStyle = CSS_COLOR_NAMES.Red;
-        context.font = `${getFontSizeInPixels("sm")}px monospace`;
-        context.fillText("Play area not suitable for this game, buy a proper display.", canvas.width / 2, canvas.height / 2);
-    } else {
-        context.textAlign = 'left';
-        context.textBaseline = 'top';
-        context.fillStyle = CSS_COLOR_NAMES.Pink;
-        context.font = `${getFontSizeInPixels("sm")}px monospace`;
-        context.fillText(`FPS: ${Math.round(fps)}`, renderer.layout.draft.x, renderer.layout.draft.y);
 
+/**
+ * A list of choices drawn over the game, navigable by keyboard and mouse.
+ */
+class Menu {
+    /**
+     * Title drawn above the entries.
+     * @type {string}
+     */
+    title;
 
-        const rectSize = getFontSizeInPixels("sm");
-        /** @type {Rectangle} */
-        const rect = {
-            x: renderer.playArea.x + renderer.playArea.width - 2 * rectSize,
-            y: renderer.playArea.y + rectSize,
-            width: rectSize,
-            height: rectSize,
-        };
-        context.fillStyle = renderer.useSprites ? CSS_COLOR_NAMES.Wheat : CSS_COLOR_NAMES.MediumVioletRed;
-        context.fillRect(rect.x, rect.y, rect.width, rect.height);
-        if (isInside(renderer.mousePosition.x, renderer.mousePosition.y, rect)) {
-            canvas.style.cursor = 'pointer';
-        }
-        // TODO
-        // rect.x -= 2 * rectSize;
-        // context.textBaseline = 'hanging';
-        // context.fillText("❓", rect.x, rect.y);
-        // if (isInside(renderer.mousePosition.x, renderer.mousePosition.y, rect)) {
-        //     canvas.style.cursor = 'pointer';
-        // }
-    }
-    requestAnimationFrame(gameLoop);
-}
+    /**
+     * Lines of information drawn between the title and the entries.
+     * @type {string[]}
+     */
+    lines = [];
 
-const setup = () => {
-    document.addEventListener("keydown", inputHandler.handleKeydown);
+    /** @type {MenuEntry[]} */
+    entries;
+
+    /**
+     * Index of the highlighted entry.
+     * @type {number}
+     */
+    index;
+
+    /**
+     * Where the entries have been drawn last time, used for hit-testing the mouse.
+     * @type {Rectangle[]}
+     */
+    entryRects = [];
+
+    /**
+     * Called when the menu is dismissed without choosing anything.
+     * @type {() => void}
+     */
+    onCancel;
+
+    /**
+     * Text typed into the menu, drawn above the entries. Undefined if the menu has no text field.
+     * @type {string | undefined}
+     */
+    text;
+
+    /**
+     * @param {string} title
+     * @param {MenuEntry[]} entries
+     * @param {() => void} onCancel
+     */
+    constructor(title, entries, onCancel = closeMenu) {
+        this.title = title;
+        this.entries = entries;
+        this.onCancel = onCancel;
+        this.index = Math.max(0, entries.findIndex(entry => !entry.disabled));
+    }
+
+    /**
+     * Moves the highlight by the given number of entries, skipping the disabled ones.
+     * @param {number} step
+     */
+    move(step) {
+        let index = this.index;
+        do {
+            index += step;
+        } while (0 <= index && index < this.entries.length && this.entries[index].disabled);
+        if (0 <= index && index < this.entries.length) {
+            this.index = index;
+        }
+    }
+
+    /** @param {number} index */
+    choose(index = this.index) {
+        const entry = this.entries[index];
+        if (entry && !entry.disabled) {
+            closeMenu();
+            entry.action();
+        }
+    }
+}
+
+/**
+ * The menu currently drawn over the game, if any.
+ * @type {Menu | null}
+ */
+let activeMenu = null;
+
+/** @param {Menu} menu */
+const openMenu = (menu) => {
+    activeMenu = menu;
+};
+
+const closeMenu = () => {
+    activeMenu = null;
+};
+
+/**
+ * @return {HotkeyScope} the scope whose hotkeys are currently active (besides the global ones)
+ */
+const activeScope = () => activeMenu ? "menu" : replayViewer.active ? "replay" : gameState.getState();
+
+/** @typedef {"autosave" | "slot1" | "slot2" | "slot3"} SaveSlot */
+
+/** @type {Record<SaveSlot, string>} */
+const SAVE_SLOT_NAMES = {
+    "autosave": "Autosave",
+    "slot1": "Slot 1",
+    "slot2": "Slot 2",
+    "slot3": "Slot 3",
+};
+
+const SAVE_KEY_PREFIX = "red-princess.save.";
+
+/**
+ * Saves the current game into the given localStorage slot.
+ * @param {SaveSlot} slot
+ * @return {boolean} true if the game has been saved, false otherwise
+ */
+const saveToSlot = (slot) => {
+    try {
+        localStorage.setItem(SAVE_KEY_PREFIX + slot, serializeGame(gameState));
+        return true;
+    } catch (error) {
+        console.error(`Could not save to ${SAVE_SLOT_NAMES[slot]}.`, error);
+        return false;
+    }
+};
+
+/**
+ * @param {SaveSlot} slot
+ * @return {SaveData | undefined} the save in the given slot, migrated to the current version, if there is a valid one
+ */
+const readSaveSlot = (slot) => {
+    try {
+        const json = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+        return json ? parseSave(json) : undefined;
+    } catch (error) {
+        console.warn(`Could not read ${SAVE_SLOT_NAMES[slot]}.`, error);
+        return undefined;
+    }
+};
+
+/**
+ * Replaces the current game with the one saved in the given slot.
+ * @param {SaveSlot} slot
+ * @return {boolean} true if the game has been loaded, false otherwise
+ */
+const loadFromSlot = (slot) => {
+    const save = readSaveSlot(slot);
+    if (save && !save.game.grid.flat().every(room => room.events.enter in Effects)) {
+        gameState.lastEffect = "This save has rooms the current room catalog does not know.";
+        return false;
+    }
+    if (save) {
+        gameState.restore(save.game);
+        runRecorded = false;
+    }
+    return !!save;
+};
+
+/**
+ * @param {SaveSlot} slot
+ * @return {string} short, human-readable summary of the given slot
+ */
+const describeSaveSlot = (slot) => {
+    const save = readSaveSlot(slot);
+    if (!save) {
+        return `${SAVE_SLOT_NAMES[slot]}: empty`;
+    }
+    const steps = save.game.resources.steps ?? 0;
+    return `${SAVE_SLOT_NAMES[slot]}: ${ItemTexts.steps} ${steps}, ${new Date(save.savedAt).toLocaleString()}`;
+};
+
+/** @type {SaveSlot[]} */
+const MANUAL_SAVE_SLOTS = ["slot1", "slot2", "slot3"];
+
+/** @param {() => void} onBack */
+const openSaveMenu = (onBack) => {
+    openMenu(new Menu("Save game", [
+        ...MANUAL_SAVE_SLOTS.map(slot => ({
+            label: describeSaveSlot(slot),
+            action: () => {
+                gameState.lastEffect = saveToSlot(slot) ? `Saved to ${SAVE_SLOT_NAMES[slot]}.` : "Could not save the game.";
+            },
+        })),
+        {label: "Back", action: onBack},
+    ], onBack));
+};
+
+/** @param {() => void} onBack */
+const openLoadMenu = (onBack) => {
+    openMenu(new Menu("Load game", [
+        .../** @type {SaveSlot[]} */ (Object.keys(SAVE_SLOT_NAMES)).map(slot => ({
+            label: describeSaveSlot(slot),
+            action: () => loadFromSlot(slot),
+            disabled: !readSaveSlot(slot),
+        })),
+        {label: "Back", action: onBack},
+    ], onBack));
+};
+
+/**
+ * @return {RoomCatalog} the room catalog in use
+ */
+const currentRoomCatalog = () => {
+    try {
+        const json = localStorage.getItem(ROOM_CATALOG_KEY);
+        if (json !== null && validateRoomCatalog(JSON.parse(json)).length === 0) {
+            return migrateRoomCatalog(JSON.parse(json));
+        }
+    } catch (error) {
+        console.warn("Could not read the imported room catalog.", error);
+    }
+    return DEFAULT_ROOM_CATALOG;
+};
+
+/**
+ * Lists what is wrong with a room catalog the player tried to import.
+ * @param {string[]} problems
+ * @param {() => void} onBack
+ */
+const openCatalogProblemsMenu = (problems, onBack) => {
+    const shown = 8;
+    const menu = new Menu("Invalid room catalog", [{label: "Back", action: onBack}], onBack);
+    menu.lines = [
+        ...problems.slice(0, shown),
+        ...(problems.length > shown ? [`...and ${problems.length - shown} more, see the console.`] : []),
+    ];
+    openMenu(menu);
+};
+
+/**
+ * Lets the player pick a room catalog file, and starts a new run with it if it is valid.
+ * @param {() => void} onBack
+ */
+const importRoomCatalog = (onBack) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            /** @type {any} */
+            let catalog;
+            /** @type {string[]} */
+            let problems;
+            try {
+                catalog = JSON.parse(String(reader.result));
+                problems = loadRoomCatalog(catalog);
+            } catch (error) {
+                problems = [`The file is not valid JSON: ${error.message}`];
+            }
+            if (problems.length > 0) {
+                console.warn("Invalid room catalog:", problems);
+                openCatalogProblemsMenu(problems, onBack);
+                return;
+            }
+            try {
+                localStorage.setItem(ROOM_CATALOG_KEY, JSON.stringify(catalog));
+            } catch (error) {
+                console.warn("Could not store the room catalog, it only lasts until the page is closed.", error);
+            }
+            startNewRun();
+            gameState.lastEffect = `Room catalog loaded: ${Object.keys(Effects).length} room types.`;
+        };
+        reader.readAsText(file);
+    });
+    input.click();
+};
+
+/**
+ * Downloads the room catalog in use, as a starting point for a new one.
+ */
+const exportRoomCatalog = () => {
+    const blob = new Blob([JSON.stringify(currentRoomCatalog(), null, 2)], {type: "application/json"});
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "rooms.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+/** @param {() => void} onBack */
+const openRoomCatalogMenu = (onBack) => {
+    const imported = currentRoomCatalog() !== DEFAULT_ROOM_CATALOG;
+    const menu = new Menu("Room catalog", [
+        {label: "Import a catalog file (new run)", action: () => importRoomCatalog(() => openRoomCatalogMenu(onBack))},
+        {label: "Export the catalog in use", action: () => exportRoomCatalog()},
+        {
+            label: "Reset to the default catalog (new run)",
+            action: () => {
+                localStorage.removeItem(ROOM_CATALOG_KEY);
+                loadRoomCatalog(DEFAULT_ROOM_CATALOG);
+                startNewRun();
+            },
+            disabled: !imported,
+        },
+        {label: "Back", action: onBack},
+    ], onBack);
+    menu.lines = [`${Object.keys(Effects).length} room types, ${imported ? "imported" : "the default ones"}.`];
+    openMenu(menu);
+};
+
+/**
+ * Asks for a replay (as copied with "Copy replay") and watches it.
+ * @param {() => void} onBack
+ */
+const openReplayMenu = (onBack) => {
+    const menu = new Menu("Paste a replay", [
+        {
+            label: "Watch",
+            action: () => {
+                try {
+                    replayViewer.open(decodeReplay(menu.text));
+                } catch (error) {
+                    console.warn("Invalid replay.", error);
+                    gameState.lastEffect = "Invalid replay.";
+                }
+            },
+        },
+        {label: "Back", action: onBack},
+    ], onBack);
+    menu.text = "";
+    openMenu(menu);
+};
+
+const copyReplay = () => {
+    const replay = encodeReplay(gameState.replay);
+    // the clipboard is missing outside of secure contexts, which the fallback covers as well
+    Promise.resolve()
+        .then(() => navigator.clipboard.writeText(replay))
+        .then(() => gameState.lastEffect = "Replay copied to the clipboard.")
+        .catch(() => {
+            console.log(replay);
+            gameState.lastEffect = "Could not copy the replay, it has been logged to the console.";
+        });
+};
+
+/**
+ * Undo budgets to choose from, -1 being unlimited and 0 disabling undo.
+ * @type {number[]}
+ */
+const UNDO_BUDGET_CHOICES = [-1, 10, 3, 0];
+
+/**
+ * @param {number} budget
+ * @return {string}
+ */
+const describeUndoBudget = (budget) => budget === -1 ? "unlimited" : budget === 0 ? "off" : `${budget}`;
+
+/**
+ * Switches to the next undo budget. It applies from the next run, so it cannot be changed in the middle of one.
+ */
+const cycleUndoBudget = () => {
+    const index = UNDO_BUDGET_CHOICES.indexOf(gameState.undoBudget);
+    gameState.undoBudget = UNDO_BUDGET_CHOICES[(index + 1) % UNDO_BUDGET_CHOICES.length];
+    try {
+        localStorage.setItem(UNDO_BUDGET_KEY, `${gameState.undoBudget}`);
+    } catch (error) {
+        console.warn("Could not store the undo budget.", error);
+    }
+};
+
+/**
+ * @param {BoardConfig} board
+ * @return {string} e.g. "Long corridor"
+ */
+const describeBoard = (board) => {
+    const name = board.name.replaceAll("-", " ");
+    return name.substring(0, 1).toUpperCase() + name.substring(1);
+};
+
+/**
+ * The board preset new runs will be played on. The current run keeps its own board.
+ * @type {BoardConfig}
+ */
+let chosenBoard = loadBoard();
+
+/**
+ * Switches to the next board preset, used from the next run on.
+ */
+const cycleBoard = () => {
+    const names = Object.keys(BOARD_PRESETS);
+    chosenBoard = BOARD_PRESETS[names[(names.indexOf(chosenBoard.name) + 1) % names.length]];
+    try {
+        localStorage.setItem(BOARD_KEY, chosenBoard.name);
+    } catch (error) {
+        console.warn("Could not store the board.", error);
+    }
+};
+
+/**
+ * Starts a new run on the chosen board.
+ * @param {number} seed
+ */
+const startNewRun = (seed = Date.now()) => {
+    gameState.newGame(seed, chosenBoard, earnedUnlocks(loadProgress()));
+};
+
+const openGameMenu = () => {
+    openMenu(new Menu("Game menu", [
+        {label: "Resume", action: () => undefined},
+        {label: "Save game", action: () => openSaveMenu(openGameMenu)},
+        {label: "Load game", action: () => openLoadMenu(openGameMenu)},
+        {
+            label: `Undo budget: ${describeUndoBudget(gameState.undoBudget)} (from the next run)`,
+            action: () => {
+                cycleUndoBudget();
+                openGameMenu();
+                activeMenu.index = 3;
+            },
+        },
+        {
+            label: `Board: ${describeBoard(chosenBoard)} (from the next run)`,
+            action: () => {
+                cycleBoard();
+                openGameMenu();
+                activeMenu.index = 4;
+            },
+        },
+        {label: "Watch replay of this run", action: () => replayViewer.open(gameState.replay)},
+        {label: "Copy replay of this run", action: () => copyReplay()},
+        {label: "Watch a pasted replay", action: () => openReplayMenu(openGameMenu)},
+        {label: "Room catalog", action: () => openRoomCatalogMenu(openGameMenu)},
+        {label: "Unlocks", action: () => openUnlocksMenu(openGameMenu)},
+        {label: "New game", action: () => startNewRun()},
+    ]));
+};
+
+/**
+ * Lists the unlocks, earned or not with what they still need, and lets the player reset their progress.
+ * @param {() => void} onBack
+ */
+const openUnlocksMenu = (onBack) => {
+    const progress = loadProgress();
+    const earned = earnedUnlocks(progress);
+    const menu = new Menu("Unlocks", [
+        {label: "Reset progress", action: () => openResetProgressMenu(() => openUnlocksMenu(onBack))},
+        {label: "Back", action: onBack},
+    ], onBack);
+    menu.lines = [
+        `Runs: ${progress.runs}, wins: ${progress.wins}, rooms drafted: ${progress.roomsDrafted}, 💎 banked: ${progress.gemsBanked}`,
+        "",
+        ...Object.entries(UNLOCKS).map(([id, {name, description, counter, goal}]) => earned.includes(id)
+            ? `✔ ${name}: ${description}`
+            : `✖ ${name}: ${description} ${ProgressGoalTexts[counter](goal)} (${progress[counter]}/${goal}).`),
+        "",
+        "Unlocks apply from the next run.",
+    ];
+    openMenu(menu);
+};
+
+/**
+ * Asks before forgetting every run and unlock.
+ * @param {() => void} onBack
+ */
+const openResetProgressMenu = (onBack) => {
+    const menu = new Menu("Reset progress?", [
+        {label: "Back", action: onBack},
+        {
+            label: "Reset, locking everything again",
+            action: () => {
+                localStorage.removeItem(PROGRESS_KEY);
+                onBack();
+            },
+        },
+    ], onBack);
+    menu.lines = ["Every run and unlock is forgotten.", "The current run keeps its unlocks."];
+    openMenu(menu);
+};
+
+/**
+ * @param {number} milliseconds
+ * @return {string} the given duration as minutes and seconds, e.g. 3:07
+ */
+const formatDuration = (milliseconds) => {
+    const seconds = Math.floor(milliseconds / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+/**
+ * @return {string[]} short summary of the current run, for the screens at its end
+ */
+const summarizeRun = () => {
+    const {stepsTaken, roomsDrafted, refreshes, collected, spent} = gameState.stats;
+    const drafted = Object.entries(roomsDrafted).sort(([, a], [, b]) => b - a);
+    const total = drafted.reduce((sum, [, count]) => sum + count, 0);
+    /** @type {string[]} */
+    const draftedLines = [];
+    for (let i = 0; i < drafted.length; i += 3) {
+        draftedLines.push(drafted.slice(i, i + 3).map(([type, count]) => `${Effects[type].name} ×${count}`).join(", "));
+    }
+    /** @param {Item} item */
+    const itemLine = (item) => `${ItemTexts[item]} collected ${collected[item] ?? 0}, spent ${spent[item] ?? 0}`;
+    return [
+        `Seed: ${gameState.seed}`,
+        `Time: ${formatDuration(gameState.playTime)}`,
+        `Steps used: ${stepsTaken}`,
+        `Rooms drafted: ${total}`,
+        ...draftedLines,
+        itemLine("gems"),
+        itemLine("keys"),
+        `Draft refreshes: ${refreshes}`,
+    ];
+};
+
+/**
+ * @return {string[]} the lines announcing the unlocks the run has earned, none if it earned none
+ */
+const describeUnlockedByRun = () => unlockedByRun.length > 0 ? ["", `Unlocked: ${unlockedByRun.join(", ")}!`] : [];
+
+/**
+ * Copies a short text about the won run, with a link to play the same seed, to the clipboard.
+ */
+const shareResult = () => {
+    const board = BOARD_PRESETS[gameState.board.name] ? `&board=${gameState.board.name}` : "";
+    const url = `${window.location.origin}${window.location.pathname}?seed=${gameState.seed}${board}`;
+    const text = `Red Princess: escaped in ${gameState.stats.stepsTaken} steps and ${formatDuration(gameState.playTime)}. ` +
+        `Can you beat it on the same seed?\n${url}`;
+    Promise.resolve()
+        .then(() => navigator.clipboard.writeText(text))
+        .then(() => gameState.lastEffect = "Result copied to the clipboard.")
+        .catch(() => {
+            console.log(text);
+            gameState.lastEffect = "Could not copy the result, it has been logged to the console.";
+        });
+};
+
+/**
+ * Shown when the run is won: how it went, and how to go on.
+ */
+const openVictoryMenu = () => {
+    const menu = new Menu("Victory!", [
+        {label: "Next run", action: () => startNewRun()},
+        {label: "Share result", action: () => shareResult()},
+        {label: "Copy replay of this run", action: () => copyReplay()},
+        {label: "Watch replay of this run", action: () => replayViewer.open(gameState.replay)},
+        {label: "Look at the board", action: () => undefined},
+    ]);
+    menu.lines = ["You have reached the exit.", "", ...summarizeRun(), ...describeUnlockedByRun()];
+    openMenu(menu);
+};
+
+/**
+ * Shown when the run is lost: why, how it went, and how to go on.
+ */
+const openGameOverMenu = () => {
+    const menu = new Menu("Game over", [
+        {label: "Retry same seed", action: () => gameState.newGame(gameState.seed)},
+        {label: "New game", action: () => startNewRun()},
+        {label: "Undo last action", action: () => session.undo(), disabled: !gameState.canUndo},
+        {label: "Watch replay of this run", action: () => replayViewer.open(gameState.replay)},
+        {label: "Look at the board", action: () => undefined},
+    ]);
+    menu.lines = [DefeatReasonTexts[gameState.defeatReason], "", ...summarizeRun(), ...describeUnlockedByRun()];
+    openMenu(menu);
+};
+
+/**
+ * Asks for a seed (any text) and starts a new run with it.
+ * @param {() => void} onBack
+ */
+const openSeedMenu = (onBack) => {
+    const menu = new Menu("Enter a seed", [
+        {label: "Start", action: () => startNewRun(seedFromText(menu.text))},
+        {label: "Back", action: onBack},
+    ], onBack);
+    menu.text = "";
+    openMenu(menu);
+};
+
+/**
+ * Shown on startup: continue a previous run, if there is any saved one, or start a new one.
+ */
+const openStartMenu = () => {
+    const hasAutosave = !!readSaveSlot("autosave");
+    const hasSaves = hasAutosave || MANUAL_SAVE_SLOTS.some(slot => !!readSaveSlot(slot));
+    openMenu(new Menu("Red Princess", [
+        ...(hasAutosave ? [{label: "Continue", action: () => loadFromSlot("autosave")}] : []),
+        ...(hasSaves ? [{label: "Load game", action: () => openLoadMenu(openStartMenu)}] : []),
+        {label: "New game", action: () => startNewRun()},
+        {label: "New game with seed", action: () => openSeedMenu(openStartMenu)},
+        {label: "Unlocks", action: () => openUnlocksMenu(openStartMenu)},
+        {
+            label: `Board: ${describeBoard(chosenBoard)}`,
+            action: () => {
+                cycleBoard();
+                openStartMenu();
+                activeMenu.index = activeMenu.entries.length - 1;
+            },
+        },
+    ]));
+};
+
+/**
+ * Plays a replay back on the game itself, step by step. The game the player was in is put back when it is closed.
+ */
+class ReplayViewer {
+    /**
+     * The replay being watched, null if the viewer is closed.
+     * @type {Replay | null}
+     */
+    replay = null;
+
+    /**
+     * Number of actions of the replay applied so far.
+     * @type {number}
+     */
+    step = 0;
+
+    /** @type {boolean} */
+    playing = false;
+
+    /**
+     * Playback speed, in actions per second.
+     * @type {number}
+     */
+    speed = 2;
+
+    /**
+     * Timestamp of the last automatically played step.
+     * @type {number}
+     */
+    lastStepTime = 0;
+
+    /**
+     * The game the player was in before opening the viewer.
+     * @type {GameSnapshot | null}
+     */
+    #previousGame = null;
+
+    get active() {
+        return this.replay !== null;
+    }
+
+    get length() {
+        return this.replay?.actions.length ?? 0;
+    }
+
+    /** @param {Replay} replay */
+    open(replay) {
+        if (!this.active) {
+            this.#previousGame = gameState.serialize();
+        }
+        this.replay = replay;
+        this.seek(0);
+        this.playing = true;
+    }
+
+    close() {
+        if (!this.active) return;
+        this.replay = null;
+        this.playing = false;
+        gameState.restore(this.#previousGame);
+        this.#previousGame = null;
+    }
+
+    /**
+     * Jumps to the given step, by playing the replay again from its start.
+     * @param {number} step
+     */
+    seek(step) {
+        this.step = clamp(Math.round(step), 0, this.length);
+        runReplay(gameState, this.replay, this.step);
+    }
+
+    stepForward() {
+        if (this.step < this.length) {
+            performAction(gameState, this.replay.actions[this.step]);
+            this.step += 1;
+        }
+    }
+
+    stepBack() {
+        this.playing = false;
+        this.seek(this.step - 1);
+    }
+
+    /** @param {number} factor */
+    changeSpeed(factor) {
+        this.speed = clamp(this.speed * factor, 0.25, 32);
+    }
+
+    /** @param {number} time */
+    update(time) {
+        if (!this.active || !this.playing) return;
+        if (time - this.lastStepTime >= 1000 / this.speed) {
+            this.lastStepTime = time;
+            this.stepForward();
+            if (this.step >= this.length) {
+                this.playing = false;
+            }
+        }
+    }
+}
+
+/** @type {ReplayViewer} */
+const replayViewer = new ReplayViewer();
+
+/**
+ * Only autosaves the game of the player, never the one of a replay being watched.
+ */
+const autosave = () => {
+    if (!replayViewer.active) {
+        saveToSlot("autosave");
+    }
+};
+
+let lastFrameTime = performance.now();
+/**
+ *
+ * @param {number} timestamp - timestamp since last call
+ */
+const gameLoop = (timestamp) => {
+    const delta = timestamp - lastFrameTime;
+    const fps = 1000 / delta;
+    lastFrameTime = timestamp;
+    gameState.lastTimeStamp = timestamp;
+    if (!activeMenu && !replayViewer.active) {
+        gameState.advancePlayTime(clamp(delta, 0, 1000));
+    }
+    update(timestamp);
+    if (!render()) {
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = CSS_COLOR_NAMES.Red;
+        context.font = `${getFontSizeInPixels("sm")}px monospace`;
+        context.fillText("Play area not suitable for this game, buy a proper display.", canvas.width / 2, canvas.height / 2);
+    } else {
+        context.textAlign = 'left';
+        context.textBaseline = 'top';
+        context.fillStyle = CSS_COLOR_NAMES.Pink;
+        context.font = `${getFontSizeInPixels("sm")}px monospace`;
+        context.fillText(`FPS: ${Math.round(fps)}`, renderer.layout.draft.x, renderer.layout.draft.y);
+
+
+        const rectSize = getFontSizeInPixels("sm");
+        /** @type {Rectangle} */
+        const rect = {
+            x: renderer.playArea.x + renderer.playArea.width - 2 * rectSize,
+            y: renderer.playArea.y + rectSize,
+            width: rectSize,
+            height: rectSize,
+        };
+        context.fillStyle = renderer.useSprites ? CSS_COLOR_NAMES.Wheat : CSS_COLOR_NAMES.MediumVioletRed;
+        context.fillRect(rect.x, rect.y, rect.width, rect.height);
+        if (isInside(renderer.mousePosition.x, renderer.mousePosition.y, rect)) {
+            canvas.style.cursor = 'pointer';
+        }
+        // TODO
+        // rect.x -= 2 * rectSize;
+        // context.textBaseline = 'hanging';
+        // context.fillText("❓", rect.x, rect.y);
+        // if (isInside(renderer.mousePosition.x, renderer.mousePosition.y, rect)) {
+        //     canvas.style.cursor = 'pointer';
+        // }
+    }
+    requestAnimationFrame(gameLoop);
+}
+
+const setup = () => {
+    gameState.on("move", () => {
+        renderer.nextSprite();
+        shopIndex = 0;
+    });
+    gameState.on("use", () => shopIndex = 0);
+    gameState.on("refresh", () => {
+        gameState.draft.options.forEach((_, index) => HEX_TILE_CACHE.delete(coordToString({row: -1, col: index})));
+    });
+    gameState.on("start", () => {
+        runRecorded = false;
+        unlockedByRun = [];
+        travelRoute = [];
+        HEX_GRID_PATHS.clear();
+        HEX_TILE_CACHE.clear();
+        autosave();
+    });
+    gameState.on("restore", () => {
+        travelRoute = [];
+        HEX_GRID_PATHS.clear();
+        HEX_TILE_CACHE.clear();
+        autosave();
+        if (gameState.getState() === "lost" && !replayViewer.active) {
+            openGameOverMenu();
+        } else if (gameState.getState() === "won" && !replayViewer.active) {
+            openVictoryMenu();
+        }
+    });
+    gameState.on("defeat", () => {
+        recordFinishedRun();
+        autosave();
+        if (!replayViewer.active) {
+            openGameOverMenu();
+        }
+    });
+    gameState.on("victory", () => {
+        recordFinishedRun();
+        autosave();
+        if (!replayViewer.active) {
+            openVictoryMenu();
+        }
+    });
+    gameState.on("move", () => autosave());
+    gameState.on("use", () => autosave());
+    gameState.on("place", () => autosave());
+
+    // any key stops a travel, so the auto-walk never fights the keyboard
+    document.addEventListener("keydown", () => travelRoute = []);
+    document.addEventListener("keydown", inputHandler.handleKeydown);
+    document.addEventListener("paste", (event) => {
+        if (activeMenu?.text !== undefined) {
+            activeMenu.text += event.clipboardData?.getData("text") ?? "";
+        }
+    });
     document.addEventListener("mousemove", handleMouseMove);
     document.addEventListener("mouseup", handleClick);
+    document.addEventListener("wheel", handleWheel, {passive: false});
     window.addEventListener("resize", handleResize);
 
     inputHandler.register(
@@ -2678,13 +2963,24 @@ const setup = () => {
                 renderer.displayHallways = !renderer.displayHallways;
             }
         },
+        {
+            keys: ["i"],
+            name: "Toggle Deck Panel",
+            description: "Shows the rooms left in the deck instead of the controls, or the controls again",
+            scope: "global",
+            handler: () => {
+                renderer.displayDeck = !renderer.displayDeck;
+            }
+        },
         {
             keys: ["g"],
             name: "Add 5 Gems",
             description: "Adds 5 gems to the player inventory",
             scope: "global",
             handler: () => {
-                gameState.addResource("gems", 5);
+                if (!replayViewer.active) {
+                    session.grant("gems", 5);
+                }
             }
         },
         {
@@ -2693,7 +2989,9 @@ const setup = () => {
             description: "Adds 5 keys to the player inventory",
             scope: "global",
             handler: () => {
-                gameState.addResource("keys", 5);
+                if (!replayViewer.active) {
+                    session.grant("keys", 5);
+                }
             }
         }
     );
@@ -2703,49 +3001,84 @@ const setup = () => {
             name: "Move North",
             description: "Move the player north",
             scope: "move",
-            handler: () => updatePlayerPosition("NORTH"),
+            handler: () => session.move("NORTH"),
         },
         {
             keys: ["e"],
             name: "Move North-East",
             description: "Move the player north-east",
             scope: "move",
-            handler: () => updatePlayerPosition("NORTH_EAST"),
+            handler: () => session.move("NORTH_EAST"),
         },
         {
             keys: ["d"],
             name: "Move South-East",
             description: "Move the player south-east",
             scope: "move",
-            handler: () => updatePlayerPosition("SOUTH_EAST"),
+            handler: () => session.move("SOUTH_EAST"),
         },
         {
             keys: ["s", "ArrowDown"],
             name: "Move South",
             description: "Move the player south",
             scope: "move",
-            handler: () => updatePlayerPosition("SOUTH"),
+            handler: () => session.move("SOUTH"),
         },
         {
             keys: ["a"],
             name: "Move South-West",
             description: "Move the player south-west",
             scope: "move",
-            handler: () => updatePlayerPosition("SOUTH_WEST"),
+            handler: () => session.move("SOUTH_WEST"),
         },
         {
             keys: ["q"],
             name: "Move North-West",
             description: "Move the player north-west",
             scope: "move",
-            handler: () => updatePlayerPosition("NORTH_WEST"),
+            handler: () => session.move("NORTH_WEST"),
+        },
+        {
+            keys: [" ", "Enter"],
+            name: "Use Room",
+            description: "Use the room the player stands in",
+            scope: "move",
+            handler: () => session.use(),
         },
         {
             keys: ["r"],
             name: "Restart Game",
             description: "Start a new game",
             scope: "move",
-            handler: () => gameState.newGame(),
+            handler: () => startNewRun(),
+        },
+        {
+            keys: ["R"],
+            name: "Restart Same Seed",
+            description: "Start the current run again, with the same seed",
+            scope: "move",
+            handler: () => gameState.newGame(gameState.seed),
+        },
+        {
+            keys: ["z"],
+            name: "Undo",
+            description: "Undo the last move or room placement",
+            scope: "move",
+            handler: () => session.undo(),
+        },
+        {
+            keys: ["y"],
+            name: "Redo",
+            description: "Redo the last undone move or room placement",
+            scope: "move",
+            handler: () => session.redo(),
+        },
+        {
+            keys: ["Escape", "m"],
+            name: "Game Menu",
+            description: "Open the menu to save or load the game",
+            scope: "move",
+            handler: () => openGameMenu(),
         }
     );
 
@@ -2755,45 +3088,247 @@ const setup = () => {
             name: "Next Draft Option",
             description: "Move draft selection to the next option",
             scope: "draft",
-            handler: () => {
-                gameState.draft.index = clamp(
-                    gameState.draft.index + 1,
-                    0,
-                    gameState.draft.options.length - 1
-                );
-            },
+            handler: () => session.select(gameState.draft.index + 1),
         },
         {
             keys: ["a", "ArrowLeft"],
             name: "Previous Draft Option",
             description: "Move draft selection to the previous option",
             scope: "draft",
-            handler: () => {
-                gameState.draft.index = clamp(
-                    gameState.draft.index - 1,
-                    0,
-                    gameState.draft.options.length - 1
-                );
-            },
+            handler: () => session.select(gameState.draft.index - 1),
+        },
+        {
+            keys: ["e"],
+            name: "Rotate Clockwise",
+            description: "Turn the selected room by 60° clockwise",
+            scope: "draft",
+            handler: () => session.rotate(1),
+        },
+        {
+            keys: ["q"],
+            name: "Rotate Counterclockwise",
+            description: "Turn the selected room by 60° counterclockwise",
+            scope: "draft",
+            handler: () => session.rotate(-1),
         },
         {
             keys: [" ", "Enter"],
             name: "Place Room",
             description: "Place the selected room",
             scope: "draft",
-            handler: () => placeRoom(),
+            handler: () => session.draft(),
         },
         {
             keys: ["r"],
             name: "Refresh Draft",
-            description: "Refresh draft options by spending 2 gems",
+            description: "Refresh draft options by spending a reroll, or 2 gems without one",
+            scope: "draft",
+            handler: () => session.refresh(),
+        },
+        {
+            keys: ["z"],
+            name: "Undo",
+            description: "Undo the move that opened the draft",
             scope: "draft",
+            handler: () => session.undo(),
+        },
+        {
+            keys: ["y"],
+            name: "Redo",
+            description: "Redo the last undone move or room placement",
+            scope: "draft",
+            handler: () => session.redo(),
+        },
+        {
+            keys: ["Escape", "m"],
+            name: "Game Menu",
+            description: "Open the menu to save or load the game",
+            scope: "draft",
+            handler: () => openGameMenu(),
+        }
+    );
+
+    inputHandler.register(
+        {
+            keys: ["w", "ArrowUp"],
+            name: "Previous Offer",
+            description: "Move shop selection to the previous offer",
+            scope: "shop",
+            handler: () => shopIndex = Math.max(0, shopIndex - 1),
+        },
+        {
+            keys: ["s", "ArrowDown"],
+            name: "Next Offer",
+            description: "Move shop selection to the next offer, or to leaving",
+            scope: "shop",
+            handler: () => shopIndex = Math.min(gameState.playerRoom.offers.length, shopIndex + 1),
+        },
+        {
+            keys: [" ", "Enter"],
+            name: "Buy",
+            description: "Buy the selected offer, or leave the shop",
+            scope: "shop",
+            handler: () => chooseShopEntry(),
+        },
+        {
+            keys: ["Escape", "x"],
+            name: "Leave Shop",
+            description: "Close the shop, staying in its room",
+            scope: "shop",
+            handler: () => session.closeShop(),
+        },
+        {
+            keys: ["z"],
+            name: "Undo",
+            description: "Undo the last purchase, or the move into the shop",
+            scope: "shop",
+            handler: () => session.undo(),
+        },
+        {
+            keys: ["y"],
+            name: "Redo",
+            description: "Redo the last undone purchase",
+            scope: "shop",
+            handler: () => session.redo(),
+        }
+    );
+
+    inputHandler.register(
+        {
+            keys: ["r"],
+            name: "Restart Game",
+            description: "Start a new game",
+            scope: "lost",
+            handler: () => startNewRun(),
+        },
+        {
+            keys: ["R"],
+            name: "Retry Same Seed",
+            description: "Start the lost run again, with the same seed",
+            scope: "lost",
+            handler: () => gameState.newGame(gameState.seed),
+        },
+        {
+            keys: ["z"],
+            name: "Undo",
+            description: "Undo the action that lost the run",
+            scope: "lost",
+            handler: () => session.undo(),
+        },
+        {
+            keys: ["Escape", "m"],
+            name: "Game Over",
+            description: "Show the game over screen again",
+            scope: "lost",
+            handler: () => openGameOverMenu(),
+        }
+    );
+
+    inputHandler.register(
+        {
+            keys: ["n", "r"],
+            name: "Next Run",
+            description: "Start a new game",
+            scope: "won",
+            handler: () => startNewRun(),
+        },
+        {
+            keys: ["R"],
+            name: "Replay Same Seed",
+            description: "Start the won run again, with the same seed",
+            scope: "won",
+            handler: () => gameState.newGame(gameState.seed),
+        },
+        {
+            keys: ["Escape", "m"],
+            name: "Victory",
+            description: "Show the victory screen again",
+            scope: "won",
+            handler: () => openVictoryMenu(),
+        }
+    );
+
+    inputHandler.register(
+        {
+            keys: ["w", "ArrowUp"],
+            name: "Previous Entry",
+            description: "Move menu selection to the previous entry",
+            scope: "menu",
+            handler: () => activeMenu.move(-1),
+        },
+        {
+            keys: ["s", "ArrowDown"],
+            name: "Next Entry",
+            description: "Move menu selection to the next entry",
+            scope: "menu",
+            handler: () => activeMenu.move(1),
+        },
+        {
+            keys: [" ", "Enter"],
+            name: "Choose Entry",
+            description: "Choose the selected menu entry",
+            scope: "menu",
+            handler: () => activeMenu.choose(),
+        },
+        {
+            keys: ["Escape"],
+            name: "Back",
+            description: "Close the menu",
+            scope: "menu",
+            handler: () => activeMenu.onCancel(),
+        }
+    );
+
+    inputHandler.register(
+        {
+            keys: [" "],
+            name: "Play/Pause",
+            description: "Play or pause the replay",
+            scope: "replay",
             handler: () => {
-                if (gameState.getResource("gems") >= 2) {
-                    gameState.removeResource("gems", 2);
-                    refreshDrafts();
+                if (replayViewer.step >= replayViewer.length) {
+                    replayViewer.seek(0);
                 }
+                replayViewer.playing = !replayViewer.playing;
             },
+        },
+        {
+            keys: ["ArrowRight", "d"],
+            name: "Step Forward",
+            description: "Play the next action of the replay",
+            scope: "replay",
+            handler: () => {
+                replayViewer.playing = false;
+                replayViewer.stepForward();
+            },
+        },
+        {
+            keys: ["ArrowLeft", "a"],
+            name: "Step Back",
+            description: "Go back to the previous action of the replay",
+            scope: "replay",
+            handler: () => replayViewer.stepBack(),
+        },
+        {
+            keys: ["+", "="],
+            name: "Faster",
+            description: "Double the playback speed",
+            scope: "replay",
+            handler: () => replayViewer.changeSpeed(2),
+        },
+        {
+            keys: ["-"],
+            name: "Slower",
+            description: "Halve the playback speed",
+            scope: "replay",
+            handler: () => replayViewer.changeSpeed(0.5),
+        },
+        {
+            keys: ["Escape"],
+            name: "Exit Replay",
+            description: "Close the replay and return to the game",
+            scope: "replay",
+            handler: () => replayViewer.close(),
         }
     );
 
@@ -2801,6 +3336,13 @@ const setup = () => {
 
 const run = async () => {
     setup();
+    const parameters = new URLSearchParams(window.location.search);
+    const seedParameter = parameters.get("seed");
+    if (seedParameter !== null) {
+        gameState.newGame(seedFromText(seedParameter), BOARD_PRESETS[parameters.get("board")] ?? chosenBoard, earnedUnlocks(loadProgress()));
+    } else {
+        openStartMenu();
+    }
     renderer.spriteSheet = new Image();
     renderer.spriteSheet.src = "./hextiles.png";
     renderer.spriteSheet.onload = () => {
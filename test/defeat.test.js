@@ -0,0 +1,65 @@
+// Runs end as lost as soon as they cannot be won anymore, and not before
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {east, revealRoom, solvePuzzle, stripGame, west} = require("./helpers.js");
+
+/**
+ * Start, two rooms and the exit in a row, the door between the two rooms locked with a key the player does not have.
+ * @return {any} the session
+ */
+const lockedStrip = () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)]);
+    const inner = revealRoom(game, {row: 0, col: 2}, [west(2), east(2)]);
+    inner.hallways[west(2)] = {status: "locked", enabled: true, lock: {item: "keys", amount: 1}};
+    game.removeResource("keys", game.getResource("keys"));
+    return session;
+};
+
+test("a move without steps left ends the run", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)]);
+    game.setResource("steps", 0);
+    session.move(east(0));
+    assert.equal(game.getState(), "lost");
+    assert.equal(game.defeatReason, "steps");
+    assert.deepEqual(game.player, {row: 0, col: 0});
+});
+
+test("the run is lost when the way on is locked and the player cannot pay for it", () => {
+    const session = lockedStrip();
+    solvePuzzle(session.game);
+    session.move(east(0));
+    assert.equal(session.game.getState(), "lost");
+    assert.equal(session.game.defeatReason, "locked");
+});
+
+test("the run goes on while the player can pay for the lock in the way", () => {
+    const session = lockedStrip();
+    solvePuzzle(session.game);
+    session.grant("keys", 1).move(east(0));
+    assert.equal(session.game.getState(), "move");
+});
+
+test("the run is lost when the exit is sealed and its symbols cannot be found anymore", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)]);
+    revealRoom(game, {row: 0, col: 2}, [west(2), east(2)]);
+    session.move(east(0));
+    assert.equal(game.getState(), "lost");
+    assert.equal(game.defeatReason, "sealed");
+});
+
+test("the run goes on while the missing symbols lie in reach", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)]);
+    revealRoom(game, {row: 0, col: 2}, [west(2), east(2)]).fragment = {aspect: "lineType", value: game.puzzle.solution.lineType};
+    solvePuzzle(game);
+    game.setPuzzlePiece("lineType", game.puzzle.solution.lineType === "wavy" ? "straight" : "wavy");
+    session.move(east(0));
+    assert.equal(game.getState(), "move");
+});
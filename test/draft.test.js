@@ -0,0 +1,149 @@
+// Drafts follow the DRAFT_CONSTRAINTS, fixing the options that break them
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {DRAFT_CONSTRAINTS, Effects, draftRuleHolds, surveyDraft} = require("../core.js");
+const {east, setDraftOption, stripGame, west} = require("./helpers.js");
+
+/**
+ * @param {string} start - the beginning of the name of the rule
+ * @return {any} the rule
+ */
+const rule = (start) => DRAFT_CONSTRAINTS.find(({name}) => name.startsWith(start));
+
+/**
+ * A draft opened from the start of a strip board, with the player's keys and gems taken away.
+ * @return {any} the session
+ */
+const emptyHandedDraft = () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    game.removeResource("keys", game.getResource("keys"));
+    game.removeResource("gems", game.getResource("gems"));
+    return session;
+};
+
+/**
+ * Makes a draft option a room of the given type, locked with the given lock.
+ * @param {any} room
+ * @param {string} type
+ * @param {{item: string, amount: number}} lock
+ */
+const lockedOption = (room, type, lock) => {
+    room.events = {enter: type, exit: type, use: type};
+    room.hallways[west(1)] = {status: "locked", enabled: true, lock};
+};
+
+test("a Vault keeps its golden door when no option can be entered", () => {
+    const {game} = emptyHandedDraft();
+    const [first, second, third] = game.draft.options;
+    lockedOption(first, "vault", {item: "gems", amount: 2});
+    lockedOption(second, "vault", {item: "gems", amount: 2});
+    lockedOption(third, "taxes", {item: "keys", amount: 1});
+    const entered = rule("At least one option can be entered");
+    assert.equal(entered.holds(game), false);
+    entered.fix(game);
+    // the Tax Office, the least likely to be locked, got its lock rolled again
+    [first, second].forEach(vault => assert.deepEqual(vault.hallways[west(1)].lock, {item: "gems", amount: 2}));
+});
+
+test("a draft of Vaults alone cannot be fixed for an empty-handed player", () => {
+    const {game} = emptyHandedDraft();
+    game.draft.options.forEach(room => lockedOption(room, "vault", {item: "gems", amount: 2}));
+    assert.equal(rule("At least one option can be entered").fix(game), false);
+    game.draft.options.forEach(vault => assert.equal(vault.hallways[west(1)].status, "locked"));
+});
+
+test("no Tax Office is drawn once one is on the board", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    const taxes = rule("At most one Tax Office");
+    assert.equal(taxes.allows(game, [], "taxes"), true);
+    game.stats.roomsDrafted.taxes = 1;
+    assert.equal(taxes.allows(game, [], "taxes"), false);
+    game.draft.deck = [...Array(20).fill("taxes"), "noop", "garden", "trap"];
+    session.grant("rerolls", 1).refresh();
+    assert.ok(game.draft.options.every(room => room.events.enter !== "taxes"));
+    assert.equal(draftRuleHolds(game, taxes), true);
+});
+
+/**
+ * A draft between the start and the exit of a 3 tiles strip, of Vaults the player can open. Vaults are always dead
+ * ends, so that none of them can keep the exit within reach.
+ * @return {any} the session
+ */
+const vaultsBeforeTheExit = () => {
+    const session = stripGame(3).move(east(0));
+    session.game.draft.options.forEach(room => {
+        lockedOption(room, "vault", {item: "gems", amount: 2});
+        room.shape = "deadEnd";
+        room.hallways[east(1)] = {status: "blocked", enabled: false};
+    });
+    return session.grant("gems", 2);
+};
+
+test("a room type that keeps the exit within reach is swapped in when the drawn shapes cannot", () => {
+    const {game} = vaultsBeforeTheExit();
+    const keeps = rule("At least one option keeps the exit");
+    assert.equal(draftRuleHolds(game, keeps), false);
+    assert.equal(keeps.fix(game, surveyDraft(game)), true);
+    assert.equal(draftRuleHolds(game, keeps), true);
+    const swapped = game.draft.options.filter(room => room.events.enter !== "vault");
+    assert.equal(swapped.length, 1);
+    const {shapes} = Effects[swapped[0].events.enter];
+    assert.ok(shapes === undefined || shapes.includes(swapped[0].shape));
+    assert.ok(game.draft.deck.includes("vault"));
+    game.draft.options.filter(room => room.events.enter === "vault").forEach(vault => assert.equal(vault.shape, "deadEnd"));
+});
+
+test("a draft that cannot keep the exit within reach reports the rule as failed", () => {
+    const session = vaultsBeforeTheExit();
+    const {game} = session;
+    game.draft.deck = Array(9).fill("vault");
+    session.grant("rerolls", 1).refresh();
+    const report = Object.fromEntries(game.draftReport.map(({name, outcome}) => [name, outcome]));
+    assert.equal(report[rule("At least one option keeps the exit").name], "failed");
+    assert.ok(game.draft.options.every(room => room.events.enter === "vault" && room.shape === "deadEnd"));
+});
+
+test("every rule not reported as failed holds once a draft is fixed", () => {
+    // right before the exit and empty-handed, rerolled over and over: every fix is needed at some point
+    const session = stripGame(3).move(east(0));
+    const {game} = session;
+    game.removeResource("keys", game.getResource("keys"));
+    const outcomes = new Set();
+    for (let refresh = 0; refresh < 25; refresh++) {
+        session.grant("rerolls", 1).refresh();
+        const report = Object.fromEntries(game.draftReport.map(({name, outcome}) => [name, outcome]));
+        DRAFT_CONSTRAINTS.forEach(constraint => {
+            assert.ok(report[constraint.name] === "failed" || draftRuleHolds(game, constraint), `${constraint.name} (refresh ${refresh})`);
+            outcomes.add(`${constraint.name}: ${report[constraint.name]}`);
+        });
+    }
+    DRAFT_CONSTRAINTS.filter(constraint => constraint.fix)
+        .forEach(constraint => assert.ok(outcomes.has(`${constraint.name}: fired`), constraint.name));
+});
+
+test("a placed room is connected to its neighbors before the player enters it", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    setDraftOption(game, 0, "noop", [west(1), east(1)]);
+    const start = game.playerRoom;
+    let connected = null;
+    game.on("move", () => connected = start.hallways[east(0)].status);
+    session.draft(0);
+    assert.deepEqual(game.player, {row: 0, col: 1});
+    assert.equal(connected, "open");
+});
+
+test("placing a room takes the player in without the leave effect of their room", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    // leaving a trap costs 2 steps
+    game.playerRoom.events = {enter: "trap", exit: "trap", use: "trap"};
+    session.move(east(0));
+    setDraftOption(game, 0, "noop", [west(1), east(1)]);
+    const steps = game.getResource("steps");
+    session.draft(0);
+    assert.deepEqual(game.player, {row: 0, col: 1});
+    assert.equal(game.getResource("steps"), steps - 1);
+});
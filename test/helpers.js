@@ -0,0 +1,81 @@
+// Builds the board states the rule checks need, instead of looking for them in random runs
+const {BOARD_PRESETS, DIRECTION_VALUES, PUZZLE_VALUES, Room, createGame, tileTowards} = require("../core.js");
+
+/**
+ * A board of a single row, the start on the west end and the exit on the east one. Going east is SOUTH_EAST from the
+ * even columns and NORTH_EAST from the odd ones.
+ * @param {number} cols
+ * @return {any} a board config
+ */
+const stripBoard = (cols) => ({...BOARD_PRESETS.small, name: "strip", rows: 1, cols, start: {row: 0, col: 0}, exits: [{row: 0, col: cols - 1}]});
+
+/**
+ * @param {number} col
+ * @return {string} the direction of the next tile east on a strip board
+ */
+const east = (col) => col % 2 === 0 ? "SOUTH_EAST" : "NORTH_EAST";
+
+/**
+ * @param {number} col
+ * @return {string} the direction of the next tile west on a strip board
+ */
+const west = (col) => col % 2 === 0 ? "SOUTH_WEST" : "NORTH_WEST";
+
+/**
+ * A new game on a strip board.
+ * @param {number} cols
+ * @param {any} options - other options of the game
+ * @return {any} the session
+ */
+const stripGame = (cols, options = {}) => createGame({seed: 1, board: stripBoard(cols), ...options});
+
+/**
+ * Reveals a room of the given type, with hallways on the given sides only.
+ * @param {any} game
+ * @param {{row: number, col: number}} coord
+ * @param {string[]} sides
+ * @param {string} type
+ * @return {any} the room
+ */
+const revealRoom = (game, coord, sides, type = "noop") => {
+    const room = new Room();
+    room.events = {enter: type, exit: type, use: type};
+    room.revealed = true;
+    room.coord = {...coord};
+    DIRECTION_VALUES.forEach(direction => room.hallways[direction] = sides.includes(direction)
+        ? {status: "open", enabled: true}
+        : {status: "blocked", enabled: false});
+    game.placeRoom(room);
+    return room;
+};
+
+/**
+ * Makes a draft option a room of the given type, with hallways on the given sides only, the ones into hidden tiles left
+ * to explore. Its door towards the player is open unless it is among the sides.
+ * @param {any} game - a game in the draft state
+ * @param {number} index
+ * @param {string} type
+ * @param {string[]} sides
+ * @return {any} the option
+ */
+const setDraftOption = (game, index, type, sides) => {
+    const room = game.draft.options[index];
+    room.events = {enter: type, exit: type, use: type};
+    room.items = [];
+    room.offers = [];
+    DIRECTION_VALUES.forEach(direction => {
+        const next = tileTowards(game.draft.position, direction);
+        room.hallways[direction] = sides.includes(direction)
+            ? {status: game.validCoord(next) && game.isHiddenCoord(next) ? "unknown" : "open", enabled: true}
+            : {status: "blocked", enabled: false};
+    });
+    return room;
+};
+
+/**
+ * Fills the player's puzzle piece with the solution, which unseals the exits.
+ * @param {any} game
+ */
+const solvePuzzle = (game) => Object.keys(PUZZLE_VALUES).forEach(aspect => game.setPuzzlePiece(aspect, game.puzzle.solution[aspect]));
+
+module.exports = {east, revealRoom, setDraftOption, solvePuzzle, stripBoard, stripGame, west};
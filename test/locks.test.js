@@ -0,0 +1,75 @@
+// Locks sit on single hallways: rolled when rooms are drafted and placed, paid for when the player goes through
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {Effects} = require("../core.js");
+const {east, revealRoom, setDraftOption, stripGame, west} = require("./helpers.js");
+
+/**
+ * Runs the function with the lock chance of a room type changed for a moment.
+ * @param {string} type
+ * @param {number} lockChance - 2 makes the other doors of placed rooms, locked at half of it, always locked
+ * @param {() => void} fn
+ */
+const withLockChance = (type, lockChance, fn) => {
+    const previous = Effects[type].lockChance;
+    Effects[type].lockChance = lockChance;
+    try {
+        fn();
+    } finally {
+        Effects[type].lockChance = previous;
+    }
+};
+
+test("a locked option the player cannot open is not placed", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    setDraftOption(game, 0, "noop", [west(1), east(1)]).hallways[west(1)] = {status: "locked", enabled: true, lock: {item: "keys", amount: 1}};
+    game.removeResource("keys", game.getResource("keys"));
+    session.draft(0);
+    assert.equal(game.getState(), "draft");
+    assert.ok(game.isHiddenCoord({row: 0, col: 1}));
+    assert.match(game.lastEffect, /The door is locked, it takes 1 🔑/);
+});
+
+test("going through a locked door pays for it and opens it for good", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    const room = revealRoom(game, {row: 0, col: 1}, [west(1), east(1)]);
+    room.hallways[west(1)] = {status: "locked", enabled: true, lock: {item: "keys", amount: 1}};
+    session.move(east(0));
+    assert.deepEqual(game.player, {row: 0, col: 1});
+    assert.equal(game.getResource("keys"), 0);
+    assert.equal(room.hallways[west(1)].status, "open");
+    session.move(west(1)).move(east(0));
+    assert.deepEqual(game.player, {row: 0, col: 1});
+});
+
+test("a placed room may lock its other doors towards revealed rooms", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 2}, [west(2), east(2)]);
+    setDraftOption(game, 0, "garden", [west(1), east(1)]);
+    withLockChance("garden", 2, () => session.draft(0));
+    const placed = game.atCoord({row: 0, col: 1});
+    assert.equal(placed.hallways[east(1)].status, "locked");
+    assert.deepEqual(placed.hallways[east(1)].lock, {item: "keys", amount: 1});
+    // the door the player came through was paid for and stays open
+    assert.equal(placed.hallways[west(1)].status, "open");
+});
+
+test("a placed room never locks its door into an exit", () => {
+    const session = stripGame(3).move(east(0));
+    const {game} = session;
+    setDraftOption(game, 0, "garden", [west(1), east(1)]);
+    withLockChance("garden", 2, () => session.draft(0));
+    assert.equal(game.atCoord({row: 0, col: 1}).hallways[east(1)].status, "open");
+});
+
+test("a room type that is never locked does not lock its other doors", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 2}, [west(2), east(2)]);
+    setDraftOption(game, 0, "trap", [west(1), east(1)]);
+    session.draft(0);
+    assert.equal(game.atCoord({row: 0, col: 1}).hallways[east(1)].status, "open");
+});
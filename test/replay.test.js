@@ -0,0 +1,28 @@
+// Replays are decoded strictly, and cannot change a finished run
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {decodeReplay} = require("../core.js");
+const {east, stripGame} = require("./helpers.js");
+
+test("a replay granting an unknown item is refused", () => {
+    assert.deepEqual(decodeReplay("3;42;classic;;+gems:2").actions, [{type: "grant", item: "gems", amount: 2}]);
+    assert.throws(() => decodeReplay("3;42;classic;;+diamonds:2"), /Invalid replay item: diamonds/);
+});
+
+test("nothing is granted once the run is over", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    game.setResource("steps", 0);
+    session.move(east(0));
+    assert.equal(game.getState(), "lost");
+    const actions = game.replay.actions.length;
+    session.grant("gems", 5).perform({type: "grant", item: "diamonds", amount: 1});
+    assert.equal(game.getResource("gems"), 0);
+    assert.equal(game.replay.actions.length, actions);
+});
+
+test("a grant of a known item is recorded while the run goes on", () => {
+    const session = stripGame(4).grant("gems", 5);
+    assert.equal(session.game.getResource("gems"), 5);
+    assert.deepEqual(session.game.replay.actions.at(-1), {type: "grant", item: "gems", amount: 5});
+});
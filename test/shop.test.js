@@ -0,0 +1,50 @@
+// Shops sell their offers up to the purchase limit of the room
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {Effects, shopPurchasesLeft} = require("../core.js");
+const {east, revealRoom, setDraftOption, stripGame, west} = require("./helpers.js");
+
+/**
+ * A shop selling a key, rations and a reroll, next to the start of a strip board, the player standing in it.
+ * @return {any} the session
+ */
+const inShop = () => {
+    const session = stripGame(4);
+    revealRoom(session.game, {row: 0, col: 1}, [west(1), east(1)], "shop").offers = ["key", "rations", "reroll"];
+    return session.grant("gems", 20).move(east(0));
+};
+
+test("drafting a shop opens its offers", () => {
+    const session = stripGame(4).move(east(0));
+    const {game} = session;
+    setDraftOption(game, 0, "shop", [west(1), east(1)]).offers = ["key"];
+    session.draft(0);
+    assert.equal(game.getState(), "shop");
+    assert.equal(game.playerRoom.events.enter, "shop");
+});
+
+test("entering a shop opens its offers", () => {
+    const {game} = inShop();
+    assert.equal(game.getState(), "shop");
+    assert.equal(shopPurchasesLeft(game), Effects.shop.triggerLimit);
+});
+
+test("a shop sells as many wares as it offers, then is sold out", () => {
+    const session = inShop();
+    const {game} = session;
+    const gems = game.getResource("gems");
+    session.buy(0).buy(1).buy(2);
+    assert.equal(game.getResource("keys"), 2);
+    assert.equal(game.getResource("gems"), gems - 4 - 2 - 1);
+    assert.equal(shopPurchasesLeft(game), 0);
+    session.buy(2);
+    assert.equal(game.getResource("gems"), gems - 4 - 2 - 1);
+    assert.match(game.lastEffect, /sold out/);
+});
+
+test("the purchases of a shop are kept when the player comes back", () => {
+    const session = inShop().buy(0).closeShop();
+    const {game} = session;
+    session.move(west(1)).move(east(0));
+    assert.equal(shopPurchasesLeft(game), Effects.shop.triggerLimit - 1);
+});
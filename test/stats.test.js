@@ -0,0 +1,32 @@
+// The run stats count what the player found in rooms, not what they bought or were granted
+const {test} = require("node:test");
+const assert = require("node:assert/strict");
+const {east, revealRoom, stripGame, west} = require("./helpers.js");
+
+test("items lying in a room are counted as collected", () => {
+    const session = stripGame(4);
+    revealRoom(session.game, {row: 0, col: 1}, [west(1), east(1)]).items = [{item: "gems", amount: 2}];
+    session.move(east(0));
+    assert.equal(session.game.getResource("gems"), 2);
+    assert.equal(session.game.stats.collected.gems, 2);
+});
+
+test("what a Garden brings the steps up by is counted as collected", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)], "garden");
+    session.move(east(0));
+    assert.equal(game.getResource("steps"), 41);
+    // one step was spent on the way in
+    assert.equal(game.stats.collected.steps, 41 - (stripGame(4).game.getResource("steps") - 1));
+});
+
+test("granted and bought items are not counted as collected", () => {
+    const session = stripGame(4);
+    const {game} = session;
+    revealRoom(game, {row: 0, col: 1}, [west(1), east(1)], "shop").offers = ["key"];
+    session.grant("gems", 10).move(east(0)).buy(0);
+    assert.equal(game.getResource("keys"), 2);
+    assert.equal(game.stats.collected.gems ?? 0, 0);
+    assert.equal(game.stats.collected.keys ?? 0, 0);
+});